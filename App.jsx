@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   CalendarDays,
@@ -11,6 +11,28 @@ import {
   Info,
   Pencil,
   X,
+  ChevronLeft,
+  ChevronRight,
+  ArrowUp,
+  ArrowDown,
+  Copy,
+  LayoutGrid,
+  ClipboardPaste,
+  ListChecks,
+  Scissors,
+  Merge,
+  Settings,
+  Repeat,
+  Timer,
+  BarChart3,
+  Play,
+  Pause,
+  Undo2,
+  Redo2,
+  Bell,
+  Gauge,
+  Users,
+  Share2,
 } from "lucide-react";
 
 /**
@@ -18,33 +40,163 @@ import {
  *
  * Features:
  * - Sunday-first Week 1 / Week 2 alternating templates
+ * - Schedule shows real calendar weeks (prev/next) and picks the matching
+ *   Week 1 / Week 2 template; new placements belong to one date
  * - Tasks with due date, estimated minutes, priority
  * - Click task to edit (modal)
  * - Per-task auto-schedule: click wand, pick week + starting day,
  *   confirm before overwriting that task’s placements
- * - Drag scheduled items to other FREE blocks
+ * - Auto-schedule maps blocks to real dates (from Week 1 start) and only
+ *   uses blocks before the due date; tasks that don't fit are flagged
+ * - Drag scheduled items to other FREE blocks; they keep their length
+ *   and start where they are dropped
+ * - Resize scheduled items from their top/bottom edge (5-minute steps);
+ *   items inside a block are laid out by time
  * - Click any non-free block to force FREE
  * - Click forced-free block again to UNDO (back to fixed)
  * - Week 1 / Week 2 forced-free overrides are SEPARATE
  * - Study Hall treated as FREE (green) but label preserved
+ * - Block rules (exact / contains / regex → fixed, free or study), checked
+ *   in order and saved with the templates, decide which labels are free;
+ *   the Timetable editor previews how every label is classified
  * - Click a FREE block to quick-add a task into that block
+ * - Auto-schedule, drag-and-drop and quick-add only use the minutes
+ *   a block has left after what is already placed in it
  * - Click blue scheduled task to delete placement
+ * - Split a scheduled item in two, or merge it with the next adjacent item
+ *   of the same task; each task shows placed vs estimated minutes
+ * - Settings: minimum / maximum session length, followed by auto-schedule
+ *   and "Plan all"
+ * - "Plan all" schedules every open task across Week 1 + Week 2
+ *   (earliest due date first) with an added/moved/removed preview
  * - Marking task done asks to remove from schedule too
  * - Done tasks show strikethrough on schedule
+ * - Recurring tasks (daily, on weekdays, Week 1 / Week 2 only, every N
+ *   days, until an end date): each occurrence is its own task, and a whole
+ *   series can be auto-scheduled with a preview
+ * - Courses (name, colour, linked timetable labels): tasks and chunks can
+ *   belong to a course; placements use its colour; Schedule and Tasks
+ *   filter by course
+ * - Log actual minutes per task or per scheduled block; tasks show logged
+ *   vs estimated time and offer to reschedule what is left
+ * - Estimate history compares estimates with actuals per course and Chunker
+ *   type and suggests estimates for new tasks and projects
+ * - Focus sessions from a scheduled block or a task: Pomodoro or
+ *   block-length countdown with pause/resume and break reminders; minutes
+ *   are logged and a "done / needs more time" prompt reschedules the rest
+ * - Opt-in browser reminders (Notification API) N minutes before each
+ *   scheduled block and the evening before a due date, with quiet hours;
+ *   clicking one opens the task. Overdue tasks are flagged in Tasks
+ * - Workload dashboard for a date range: free vs scheduled minutes per day
+ *   (overloaded days flagged), unscheduled open work, overdue and due-soon
+ *   counts, and a completion trend
+ * - Capacity forecast: every change compares what each open task still
+ *   needs with the free minutes left before its due date; tasks that can't
+ *   fit or are at risk show the missing minutes and suggest blocks to force
+ *   free or lower-priority work to move
+ * - Catch-up: dated blocks of open tasks that passed without logged time
+ *   are rolled forward into the next free time before the due date, asking
+ *   for each block or automatically (Settings), with a summary of the moves
  * - Chunker generates editable chunks
- * - LocalStorage persistence + export/import
+ * - Timetable editor: edit Week 1 / Week 2 rows, labels and notes with a
+ *   live preview; copy Week 1 to Week 2; paste a CSV/TSV sheet per week
+ * - Templates upload is validated; errors/warnings are listed per row
+ *   before importing
+ * - Student profiles, each with its own templates, tasks, placements,
+ *   overrides, week anchor and history: switch in the header; create one
+ *   from the current school timetable, duplicate, rename, delete, and
+ *   export or import a single profile
+ * - Share view: a link with the viewed week (timetable, placements, task
+ *   summaries) compressed into the URL fragment opens a read-only Schedule
+ *   and Tasks view that never reads or writes the viewer's storage; task
+ *   titles can be left out
+ * - LocalStorage persistence + export/import (versioned; older saves and
+ *   exports are migrated step by step, with a pre-migration copy kept)
+ * - Import backup restores an export (replace everything, or merge by id
+ *   with a conflict report)
+ * - Calendar (.ics) export of placements and due dates with stable UIDs
+ * - Calendar (.ics) import: events become dated busy blocks that every
+ *   scheduler works around; daily/weekly repeats (BYDAY, EXDATE) expand
+ * - Undo / redo (toolbar or Ctrl/Cmd+Z, Shift+Ctrl/Cmd+Z, Ctrl+Y) for every
+ *   task, schedule and template change; history survives a reload
  */
 
 // --------- DEFAULT TEMPLATES ---------
+// Block rules are checked top to bottom and the first match wins. Matching
+// ignores case; "study" blocks are free but keep their label.
+const DEFAULT_CLASSIFICATION = {
+  rules: [
+    {
+      id: "study-hall",
+      match: "contains",
+      pattern: "study hall",
+      result: "study",
+    },
+    {
+      id: "free-words",
+      match: "regex",
+      pattern: "\\b(free|open|blank)\\b",
+      result: "free",
+    },
+    {
+      id: "fixed-words",
+      match: "regex",
+      pattern:
+        "\\b(breakfast|lunch|dinner|meeting|assembly|check-in|lights out|religious|athletics|pe|dorm|advisory|win)\\b",
+      result: "fixed",
+    },
+    {
+      id: "class-blocks",
+      match: "regex",
+      pattern: "^(block\\s*)?[a-z]$",
+      result: "fixed",
+    },
+  ],
+  // Type of a label no rule matches
+  fallback: "fixed",
+};
+
 const DEFAULT_TEMPLATES = {
   weekStartsOn: "Sunday",
+  classification: DEFAULT_CLASSIFICATION,
   templates: {
     week1: { grid: [], blocks: [], notes: [] },
     week2: { grid: [], blocks: [], notes: [] },
   },
 };
 
+// Profiles: each one saves its data, history and backups under its own key.
+// The first profile keeps LS_KEY, so data saved before profiles existed is
+// still found.
+const DEFAULT_PROFILE_ID = "default";
+const DEFAULT_PROFILES = {
+  activeId: DEFAULT_PROFILE_ID,
+  profiles: [{ id: DEFAULT_PROFILE_ID, name: "My schedule" }],
+};
+
+// Browser reminders are off until the user allows notifications. Quiet
+// hours may wrap past midnight; reminders due in them wait until they end.
+const DEFAULT_REMINDERS = {
+  enabled: false,
+  leadMin: 10,
+  dueTime: "18:00",
+  quietStart: "22:00",
+  quietEnd: "07:00",
+};
+
 const LS_KEY = "manara_scheduler_v1";
+// Version of the saved data shape (localStorage and "Export data" files).
+// Bump it together with a new entry in MIGRATIONS.
+const SCHEMA_VERSION = 5;
+
+// Scheduler preferences saved with the data. `maxSessionMin` null = no limit.
+// catchUp: what to do with missed blocks, "confirm" | "auto" | "off".
+const DEFAULT_SETTINGS = {
+  minSessionMin: 15,
+  maxSessionMin: null,
+  reminders: DEFAULT_REMINDERS,
+  catchUp: "confirm",
+};
 
 const DAYS = [
   "Sunday",
@@ -61,36 +213,76 @@ const BLOCK_TYPE = {
   FREE: "free",
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+const WEEK_LABELS = { week1: "Week 1", week2: "Week 2" };
+
 // ---------- Helpers ----------
-function inferBlockType(label) {
-  if (!label) return BLOCK_TYPE.FREE;
-  const s = String(label).toLowerCase();
-
-  // Study Hall treated as FREE
-  if (s.includes("study hall")) return BLOCK_TYPE.FREE;
-
-  const fixedWords = [
-    "breakfast",
-    "lunch",
-    "dinner",
-    "meeting",
-    "assembly",
-    "check-in",
-    "lights out",
-    "religious",
-    "athletics",
-    "pe",
-    "dorm",
-    "advisory",
-    "win",
-  ];
-  const freeWords = ["free", "open", "blank"];
+// ---------- Block classification ----------
+const RULE_MATCHES = ["exact", "contains", "regex"];
+const RULE_RESULTS = ["fixed", "free", "study"];
+
+function classificationOf(templates) {
+  return templates?.classification || DEFAULT_CLASSIFICATION;
+}
+
+// Why a rule can never match (shown next to it), or null
+function ruleError(rule) {
+  if (!RULE_MATCHES.includes(rule?.match)) return "Unknown match type.";
+  if (!RULE_RESULTS.includes(rule.result)) return "Unknown result.";
+  if (!String(rule.pattern ?? "").trim()) return "Pattern is empty.";
+  if (rule.match === "regex") {
+    try {
+      new RegExp(rule.pattern, "i");
+    } catch {
+      return "Not a valid regular expression.";
+    }
+  }
+  return null;
+}
+
+function ruleMatches(rule, label) {
+  if (ruleError(rule)) return false;
+  const s = label.trim().toLowerCase();
+  const pattern = String(rule.pattern).trim().toLowerCase();
+  if (rule.match === "exact") return s === pattern;
+  if (rule.match === "contains") return s.includes(pattern);
+  return new RegExp(rule.pattern, "i").test(label.trim());
+}
+
+// `type` is FREE or FIXED; `result` is the rule's own result ("study" is
+// FREE). `ruleIndex` is -1 and `known` false when the fallback applied.
+function classifyLabel(label, classification = DEFAULT_CLASSIFICATION) {
+  if (!label || !String(label).trim()) {
+    return { type: BLOCK_TYPE.FREE, result: "free", known: true, ruleIndex: -1 };
+  }
+  const rules = classification.rules || [];
+  const ruleIndex = rules.findIndex((r) => ruleMatches(r, String(label)));
+  const result =
+    ruleIndex >= 0 ? rules[ruleIndex].result : classification.fallback || "fixed";
+  return {
+    type: result === "fixed" ? BLOCK_TYPE.FIXED : BLOCK_TYPE.FREE,
+    result,
+    known: ruleIndex >= 0,
+    ruleIndex,
+  };
+}
 
-  if (freeWords.some((w) => s.includes(w))) return BLOCK_TYPE.FREE;
-  if (fixedWords.some((w) => s.includes(w))) return BLOCK_TYPE.FIXED;
+function inferBlockType(label, classification) {
+  return classifyLabel(label, classification).type;
+}
 
-  if (/^(block\s*)?[a-z]$/i.test(s)) return BLOCK_TYPE.FIXED;
-  return BLOCK_TYPE.FIXED;
+// Lessons: single-letter class blocks, labels saying "class" and labels no
+// rule knows (usually course names), as opposed to named activities
+function isClassLabel(label, classification = DEFAULT_CLASSIFICATION) {
+  const c = classifyLabel(label, classification);
+  return (
+    !c.known ||
+    /\bclass(es)?\b/i.test(String(label)) ||
+    classification.rules[c.ruleIndex]?.id === "class-blocks"
+  );
 }
 
 function toMin(t) {
@@ -116,7 +308,7 @@ function durationMin(range) {
 }
 
 // Build free slots from template, respecting per-week overrides
-function buildSlots(template, weekOverrides = {}) {
+function buildSlots(template, weekOverrides = {}, classification) {
   const rows = (template.grid || []).map((row) => ({
     range: parseRange(`${row.start}-${row.end}`),
     days: row.days || {},
@@ -127,9 +319,11 @@ function buildSlots(template, weekOverrides = {}) {
     if (!row.range) continue;
     for (const day of DAYS) {
       const label = row.days[day] ?? null;
-      const key = `${day}_${row.range.start}_${row.range.end}`;
+      const key = blockKey(day, row.range.start, row.range.end);
       const forcedFree = !!weekOverrides[key];
-      const type = forcedFree ? BLOCK_TYPE.FREE : inferBlockType(label);
+      const type = forcedFree
+        ? BLOCK_TYPE.FREE
+        : inferBlockType(label, classification);
       if (type === BLOCK_TYPE.FREE) {
         slots.push({
           id: key,
@@ -150,1315 +344,8124 @@ function buildSlots(template, weekOverrides = {}) {
   );
 }
 
-// ---------- Chunk templates ----------
-const CHUNK_TEMPLATES = {
-  essay: [
-    { title: "Choose topic + gather sources", pct: 0.2 },
-    { title: "Outline", pct: 0.12 },
-    { title: "Draft part 1", pct: 0.28 },
-    { title: "Draft part 2", pct: 0.28 },
-    { title: "Edit + citations", pct: 0.1 },
-    { title: "Final proof", pct: 0.02 },
-  ],
-  exam: [
-    { title: "Review notes (unit 1)", pct: 0.25 },
-    { title: "Practice problems", pct: 0.35 },
-    { title: "Timed past paper", pct: 0.2 },
-    { title: "Error review", pct: 0.15 },
-    { title: "Final recap", pct: 0.05 },
-  ],
-  lab: [
-    { title: "Background reading", pct: 0.2 },
-    { title: "Plan/Design", pct: 0.15 },
-    { title: "Data collection", pct: 0.25 },
-    { title: "Analysis", pct: 0.2 },
-    { title: "Write-up", pct: 0.18 },
-    { title: "Polish + submit", pct: 0.02 },
-  ],
-};
+// ---------- Template validation ----------
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
 
-// ======================================================
-// App
-// ======================================================
-export default function App() {
-  const [templates, setTemplates] = useState(DEFAULT_TEMPLATES);
-  const [activeWeek, setActiveWeek] = useState("week1");
-  const [tasks, setTasks] = useState([]);
-  const [placements, setPlacements] = useState([]);
-  const [freeOverrides, setFreeOverrides] = useState({ week1: {}, week2: {} });
-  const [view, setView] = useState("schedule");
-  const [week1StartSunday, setWeek1StartSunday] = useState("2026-01-04");
-  const [autoPick, setAutoPick] = useState(null);
+// Check an uploaded templates file. Errors are rows buildSlots would skip or
+// misread; warnings are legal but suspicious. Each issue names its week,
+// 1-based row and field. A file without block rules keeps `currentRules`.
+function validateTemplateImport(data, currentRules = DEFAULT_CLASSIFICATION) {
+  const errors = [];
+  const warnings = [];
 
-  // Load LS
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem(LS_KEY);
-      if (!raw) return;
-      const data = JSON.parse(raw);
-      if (data.templates) setTemplates(data.templates);
-      if (data.activeWeek) setActiveWeek(data.activeWeek);
-      if (data.tasks) setTasks(data.tasks);
-      if (data.placements) setPlacements(data.placements);
-      if (data.freeOverrides) {
-        if (data.freeOverrides.week1 || data.freeOverrides.week2) {
-          setFreeOverrides({
-            week1: data.freeOverrides.week1 || {},
-            week2: data.freeOverrides.week2 || {},
+  if (
+    !data ||
+    typeof data !== "object" ||
+    !data.templates ||
+    typeof data.templates !== "object"
+  ) {
+    errors.push({ message: 'Missing "templates" object.' });
+    return { errors, warnings, templates: null };
+  }
+
+  let classification = currentRules;
+  if (data.classification !== undefined) {
+    const c = data.classification;
+    if (!c || typeof c !== "object" || !Array.isArray(c.rules)) {
+      errors.push({
+        field: "classification",
+        message: '"classification" must have a list of "rules"; your current rules are kept.',
+      });
+    } else {
+      classification = c;
+      c.rules.forEach((rule, i) => {
+        const problem = ruleError(rule);
+        if (problem) {
+          errors.push({ field: `rule ${i + 1}`, message: problem });
+        }
+      });
+      if (c.fallback !== undefined && !["fixed", "free"].includes(c.fallback)) {
+        errors.push({
+          field: "classification.fallback",
+          message: 'Must be "fixed" or "free".',
+        });
+      }
+    }
+  }
+
+  for (const week of ["week1", "week2"]) {
+    const tpl = data.templates[week];
+    const at = (row, field) => ({ week, row, field });
+
+    if (!tpl) {
+      warnings.push({
+        ...at(),
+        message: `${WEEK_LABELS[week]} is missing and will be empty.`,
+      });
+      continue;
+    }
+    if (!Array.isArray(tpl.grid)) {
+      errors.push({
+        ...at(null, "grid"),
+        message: '"grid" must be a list of rows.',
+      });
+      continue;
+    }
+    if (tpl.notes !== undefined && !Array.isArray(tpl.notes)) {
+      errors.push({
+        ...at(null, "notes"),
+        message: '"notes" must be a list of strings.',
+      });
+    }
+
+    const ranges = [];
+    tpl.grid.forEach((row, i) => {
+      const n = i + 1;
+      if (!row || typeof row !== "object") {
+        errors.push({ ...at(n), message: "Row is not an object." });
+        return;
+      }
+
+      let timesOk = true;
+      for (const field of ["start", "end"]) {
+        const v = row[field];
+        if (v === undefined || v === null || v === "") {
+          errors.push({ ...at(n, field), message: `Missing "${field}".` });
+          timesOk = false;
+        } else if (!HHMM_RE.test(String(v))) {
+          errors.push({
+            ...at(n, field),
+            message: `"${v}" is not a 24-hour HH:MM time (e.g. "08:00").`,
+          });
+          timesOk = false;
+        }
+      }
+      if (timesOk) {
+        if (toMin(row.end) <= toMin(row.start)) {
+          errors.push({
+            ...at(n, "end"),
+            message: `Ends at ${row.end}, before it starts (${row.start}).`,
           });
         } else {
-          setFreeOverrides({ week1: data.freeOverrides, week2: {} });
+          ranges.push({ n, start: row.start, end: row.end });
         }
       }
-      if (data.week1StartSunday) setWeek1StartSunday(data.week1StartSunday);
-    } catch {}
-  }, []);
 
-  // Persist LS
-  useEffect(() => {
-    localStorage.setItem(
-      LS_KEY,
-      JSON.stringify({
-        templates,
-        activeWeek,
-        tasks,
-        placements,
-        freeOverrides,
-        week1StartSunday,
-      })
-    );
-  }, [templates, activeWeek, tasks, placements, freeOverrides, week1StartSunday]);
+      if (row.days === undefined) {
+        warnings.push({
+          ...at(n, "days"),
+          message: 'No "days" — every day is free.',
+        });
+      } else if (typeof row.days !== "object" || Array.isArray(row.days)) {
+        errors.push({
+          ...at(n, "days"),
+          message: '"days" must map day names to labels.',
+        });
+      } else {
+        for (const [day, label] of Object.entries(row.days)) {
+          if (!DAYS.includes(day)) {
+            errors.push({
+              ...at(n, `days.${day}`),
+              message: `Unknown day "${day}" (expected Sunday … Saturday).`,
+            });
+          } else if (label !== null && typeof label !== "string") {
+            errors.push({
+              ...at(n, `days.${day}`),
+              message: "Label must be text.",
+            });
+          } else if (label && !classifyLabel(label, classification).known) {
+            warnings.push({
+              ...at(n, `days.${day}`),
+              message: `No block rule matches "${label}"; it will be treated as ${
+                classification.fallback === "free" ? "free" : "fixed"
+              }.`,
+            });
+          }
+        }
+      }
+    });
 
-  // Current week based on week1StartSunday
-  const currentWeekKey = useMemo(() => {
-    const start = new Date(week1StartSunday + "T00:00:00");
-    const now = new Date();
-    const diffWeeks = Math.floor((now - start) / (7 * 24 * 60 * 60 * 1000));
-    return diffWeeks % 2 === 0 ? "week1" : "week2";
-  }, [week1StartSunday]);
+    ranges.sort((a, b) => toMin(a.start) - toMin(b.start));
+    for (let i = 1; i < ranges.length; i++) {
+      const prev = ranges[i - 1];
+      const cur = ranges[i];
+      if (toMin(cur.start) < toMin(prev.end)) {
+        warnings.push({
+          ...at(cur.n, "start"),
+          message: `Overlaps row ${prev.n} (${prev.start}–${prev.end} / ${cur.start}–${cur.end}).`,
+        });
+      }
+    }
+  }
 
-  const template =
-    templates.templates?.[activeWeek] || DEFAULT_TEMPLATES.templates.week1;
-  const activeWeekOverrides = freeOverrides[activeWeek] || {};
+  const base =
+    data.templates.week1 && data.templates.week2
+      ? data
+      : {
+          ...DEFAULT_TEMPLATES,
+          templates: { ...DEFAULT_TEMPLATES.templates, ...data.templates },
+        };
+  return {
+    errors,
+    warnings,
+    templates: cleanTemplates({ ...base, classification }),
+  };
+}
 
-  // ----- Task ops -----
-  function addTask(t) {
-    const id = crypto.randomUUID();
-    setTasks((prev) => [{ ...t, id, status: "todo" }, ...prev]);
-    return id;
-  }
-  function updateTask(id, patch) {
-    setTasks((prev) => prev.map((t) => (t.id === id ? { ...t, ...patch } : t)));
-  }
-  function removeTask(id) {
-    setTasks((prev) => prev.filter((t) => t.id !== id));
-    setPlacements((prev) => prev.filter((p) => p.taskId !== id));
-  }
-  function removePlacement(placementId) {
-    setPlacements((prev) => prev.filter((p) => p.id !== placementId));
-  }
+// Keep only what the scheduler can use: rows that are objects with a valid
+// start before end, text labels on known days, text notes and valid rules.
+// "Import anyway" saves this, so a broken file never reaches storage.
+function cleanTemplates(data) {
+  const cleanWeek = (tpl) => ({
+    ...tpl,
+    grid: (Array.isArray(tpl?.grid) ? tpl.grid : [])
+      .filter(
+        (row) =>
+          row &&
+          typeof row === "object" &&
+          HHMM_RE.test(String(row.start)) &&
+          HHMM_RE.test(String(row.end)) &&
+          toMin(row.end) > toMin(row.start)
+      )
+      .map((row) => {
+        const days =
+          row.days && typeof row.days === "object" && !Array.isArray(row.days)
+            ? row.days
+            : {};
+        return {
+          ...row,
+          days: Object.fromEntries(
+            Object.entries(days).filter(
+              ([day, label]) =>
+                DAYS.includes(day) && (label === null || typeof label === "string")
+            )
+          ),
+        };
+      }),
+    blocks: Array.isArray(tpl?.blocks) ? tpl.blocks : [],
+    notes: Array.isArray(tpl?.notes)
+      ? tpl.notes.filter((n) => typeof n === "string")
+      : [],
+  });
+  const c = data.classification;
+  return {
+    ...data,
+    classification:
+      c && Array.isArray(c.rules)
+        ? {
+            rules: c.rules.filter((r) => !ruleError(r)),
+            fallback: c.fallback === "free" ? "free" : "fixed",
+          }
+        : DEFAULT_CLASSIFICATION,
+    templates: {
+      week1: cleanWeek(data.templates?.week1),
+      week2: cleanWeek(data.templates?.week2),
+    },
+  };
+}
 
-  function toggleDone(taskId) {
-    const task = tasks.find((t) => t.id === taskId);
-    if (!task) return;
-    const nextStatus = task.status === "done" ? "todo" : "done";
+function describeIssue(issue) {
+  return [
+    issue.week && WEEK_LABELS[issue.week],
+    issue.row && `row ${issue.row}`,
+    issue.field,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
 
-    if (nextStatus === "done") {
-      const placed = placements.some((p) => p.taskId === taskId);
-      if (placed) {
-        const removeAlso = window.confirm(
-          `Marking "${task.title}" done. Remove it from schedule too?`
-        );
-        if (removeAlso) {
-          setPlacements((prev) => prev.filter((p) => p.taskId !== taskId));
-        }
+// ---------- Spreadsheet import ----------
+// Split CSV or TSV text into rows of cells. Tabs win when present (a paste
+// from a spreadsheet); otherwise commas, with "quoted, fields" supported.
+function parseDelimited(text) {
+  const delim = text.includes("\t") ? "\t" : ",";
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
       }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
     }
-
-    setTasks((prev) =>
-      prev.map((t) => (t.id === taskId ? { ...t, status: nextStatus } : t))
-    );
   }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
 
-  function autoScheduleTaskInternal(taskId, targetWeek, startDay) {
-    const task = tasks.find((t) => t.id === taskId);
-    if (!task || task.status === "done") return;
+// "8:00", "08:00", "8:00 AM", "8am", "12.30 pm" -> { min, meridiem }
+function parseClock(str) {
+  const m = String(str)
+    .trim()
+    .match(/^(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?\.?\s*m?\.?$/i);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  if (min > 59 || h > 23 || (m[3] && (h < 1 || h > 12))) return null;
+  return { h, min, meridiem: m[3]?.toLowerCase() || null };
+}
 
-    const targetTemplate =
-      templates.templates?.[targetWeek] || DEFAULT_TEMPLATES.templates.week1;
-    const targetWeekOverrides = freeOverrides[targetWeek] || {};
-    const allSlots = buildSlots(targetTemplate, targetWeekOverrides);
+function clockToMin({ h, min }, meridiem) {
+  if (meridiem === "a") return (h % 12) * 60 + min;
+  if (meridiem === "p") return ((h % 12) + 12) * 60 + min;
+  return h * 60 + min;
+}
 
-    const startIdx = DAYS.indexOf(startDay);
-    const orderedDays =
-      startIdx >= 0
-        ? [...DAYS.slice(startIdx), ...DAYS.slice(0, startIdx)]
-        : DAYS;
+// "8:00–8:50", "8:00 AM - 8:50 AM", "11:30 to 12:20 PM" -> { start, end }
+function parseTimeRange(str) {
+  const parts = String(str).split(/\s*(?:-|–|—|\bto\b)\s*/i);
+  if (parts.length !== 2) return null;
+  const a = parseClock(parts[0]);
+  const b = parseClock(parts[1]);
+  if (!a || !b) return null;
 
-    const slots = [...allSlots].sort(
-      (a, b) =>
-        orderedDays.indexOf(a.day) - orderedDays.indexOf(b.day) ||
-        a.startMin - b.startMin
-    );
+  let startMin = clockToMin(a, a.meridiem);
+  const endMin = clockToMin(b, b.meridiem);
+  // Only the end says AM/PM: the start shares it unless that puts it after the end
+  if (!a.meridiem && b.meridiem) {
+    const shared = clockToMin(a, b.meridiem);
+    startMin =
+      shared < endMin
+        ? shared
+        : clockToMin(a, b.meridiem === "p" ? "a" : "p");
+  }
+  if (endMin <= startMin) return null;
+  return { start: toHHMM(startMin), end: toHHMM(endMin) };
+}
+
+// "Sun", "tues", "THURSDAY" -> "Thursday"
+function matchDayName(str) {
+  const s = String(str).trim().toLowerCase().replace(/\.$/, "");
+  if (s.length < 2) return null;
+  return DAYS.find((d) => d.toLowerCase().startsWith(s)) || null;
+}
 
-    let remaining = Number(task.estimatedMin) || 0;
-    const newPlacements = [];
+// Turn a pasted sheet (time column + one column per day) into grid rows.
+// A header row of day names is optional; without it columns run Sunday
+// to Saturday. Problems are reported with their 1-based line number.
+function parseTimetableSheet(text) {
+  const lines = parseDelimited(text);
+  const errors = [];
+  const grid = [];
+  let columns = DAYS;
 
-    for (let i = 0; i < slots.length && remaining > 0; i++) {
-      const s = slots[i];
-      const take = Math.min(remaining, s.minutes);
-      if (take < 15) continue;
+  lines.forEach((cells, i) => {
+    const line = i + 1;
+    if (cells.every((c) => !c.trim())) return;
 
-      const startMin = s.startMin;
-      const endMin = startMin + take;
+    const days = cells.slice(1).map(matchDayName);
+    if (grid.length === 0 && days.some(Boolean) && !parseTimeRange(cells[0])) {
+      columns = days;
+      return;
+    }
 
-      newPlacements.push({
-        id: crypto.randomUUID(),
-        taskId,
-        week: targetWeek,
-        day: s.day,
-        start: toHHMM(startMin),
-        end: toHHMM(endMin),
+    const range = parseTimeRange(cells[0]);
+    if (!range) {
+      errors.push({
+        line,
+        message: `"${cells[0]}" is not a time range like 8:00–8:50.`,
       });
+      return;
+    }
 
-      remaining -= take;
-
-      if (take === s.minutes) {
-        slots.splice(i, 1);
-        i--;
-      } else {
-        slots[i] = {
-          ...s,
-          startMin: endMin,
-          start: toHHMM(endMin),
-          minutes: s.endMin - endMin,
-        };
+    const row = { start: range.start, end: range.end, days: {} };
+    cells.slice(1).forEach((label, col) => {
+      const day = columns[col];
+      if (!label.trim()) return;
+      if (!day) {
+        errors.push({
+          line,
+          message: `Column ${col + 2} has no day heading; "${label}" was skipped.`,
+        });
+        return;
       }
-    }
+      row.days[day] = label.trim();
+    });
+    grid.push(row);
+  });
 
-    setPlacements((prev) => [...newPlacements, ...prev]);
-    setView("schedule");
+  return { grid, errors };
+}
+
+// ---------- Backup restore ----------
+// Older saves kept one flat override map for Week 1 only
+function normalizeFreeOverrides(raw) {
+  if (!raw) return { week1: {}, week2: {} };
+  if (raw.week1 || raw.week2) {
+    return { week1: raw.week1 || {}, week2: raw.week2 || {} };
   }
+  return { week1: raw, week2: {} };
+}
 
-  function requestAutoScheduleTask(taskId) {
-    setAutoPick({ taskId, week: activeWeek, day: "Sunday" });
+// Check that a file has the "Export data" shape; returns an error or null
+function checkBackup(data) {
+  if (!data || typeof data !== "object") return "This file is not a backup.";
+  if (!Array.isArray(data.tasks) && !Array.isArray(data.placements)) {
+    return data.templates
+      ? 'This looks like a templates file. Use "Upload templates JSON" instead.'
+      : "No tasks or placements found in this file.";
   }
+  const badTask = (data.tasks || []).findIndex((t) => !t?.id || !t?.title);
+  if (badTask >= 0) return `Task ${badTask + 1} has no id or title.`;
+  return null;
+}
 
-  function handleTemplateUpload(e) {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        if (data?.templates?.week1 && data?.templates?.week2) {
-          setTemplates(data);
-        } else if (data?.templates) {
-          setTemplates({ ...DEFAULT_TEMPLATES, templates: data.templates });
-        } else {
-          alert("JSON not recognized.");
-        }
-      } catch {
-        alert("Could not read this JSON.");
+const TASK_FIELDS = ["title", "dueDate", "estimatedMin", "priority", "status"];
+
+function validTimes(x) {
+  return (
+    HHMM_RE.test(String(x.start)) &&
+    HHMM_RE.test(String(x.end)) &&
+    toMin(x.end) > toMin(x.start)
+  );
+}
+
+// A placement the schedule can draw: a known day and a valid time range
+function validPlacement(p) {
+  return DAYS.includes(p.day) && validTimes(p);
+}
+
+// Work out the state a backup restore would produce, plus what changed.
+// "replace" takes everything from the backup; "merge" matches tasks and
+// placements by id and settles conflicts by `onConflict` ("mine" | "backup").
+// Either way placements whose task is missing are rejected.
+function planBackupImport(current, backup, mode, onConflict) {
+  const report = {
+    tasksAdded: 0,
+    tasksUnchanged: 0,
+    conflicts: [],
+    placementsAdded: 0,
+    rejected: [],
+    invalidPlacements: 0,
+    templateErrors: 0,
+  };
+  const backupTasks = backup.tasks || [];
+  const backupPlacements = (backup.placements || []).filter(validPlacement);
+  report.invalidPlacements =
+    (backup.placements || []).length - backupPlacements.length;
+
+  let tasks;
+  let placements;
+  if (mode === "replace") {
+    tasks = backupTasks;
+    placements = [];
+    report.tasksAdded = backupTasks.length;
+  } else {
+    const byId = Object.fromEntries(current.tasks.map((t) => [t.id, t]));
+    tasks = [...current.tasks];
+    for (const t of backupTasks) {
+      const mine = byId[t.id];
+      if (!mine) {
+        tasks.push(t);
+        report.tasksAdded++;
+        continue;
       }
-    };
-    reader.readAsText(file);
+      const fields = TASK_FIELDS.filter(
+        (f) => String(mine[f] ?? "") !== String(t[f] ?? "")
+      );
+      if (fields.length === 0) {
+        report.tasksUnchanged++;
+        continue;
+      }
+      report.conflicts.push({ id: t.id, title: mine.title, fields });
+      if (onConflict === "backup") {
+        tasks = tasks.map((x) => (x.id === t.id ? { ...x, ...t } : x));
+      }
+    }
+    placements = [...current.placements];
   }
 
-  function exportData() {
-    const blob = new Blob(
-      [
-        JSON.stringify(
-          {
-            templates,
-            tasks,
-            placements,
-            freeOverrides,
-            week1StartSunday,
-          },
-          null,
-          2
-        ),
-      ],
-      { type: "application/json" }
-    );
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "manara_scheduler_export.json";
-    a.click();
-    URL.revokeObjectURL(url);
+  const taskIds = new Set(tasks.map((t) => t.id));
+  const placementIds = new Set(placements.map((p) => p.id));
+  for (const p of backupPlacements) {
+    if (!taskIds.has(p.taskId)) {
+      report.rejected.push(p);
+    } else if (!placementIds.has(p.id)) {
+      placements.push(p);
+      placementIds.add(p.id);
+      report.placementsAdded++;
+    }
   }
 
-  function quickAddToSlot(slot, taskDraft) {
-    const occupied = placements.some(
-      (p) =>
-        (p.week || activeWeek) === activeWeek &&
-        p.day === slot.day &&
-        p.start === slot.start &&
-        p.end === slot.end
+  let backupTemplates = DEFAULT_TEMPLATES;
+  if (mode === "replace" && backup.templates) {
+    const checked = validateTemplateImport(
+      backup.templates,
+      classificationOf(backup.templates)
     );
+    backupTemplates = checked.templates || DEFAULT_TEMPLATES;
+    report.templateErrors = checked.errors.length;
+  }
 
-    if (occupied) {
-      const ok = window.confirm(
-        "This block already has tasks. Add another here anyway?"
-      );
-      if (!ok) return;
-    }
+  const backupOverrides = normalizeFreeOverrides(backup.freeOverrides);
+  const currentCourses = current.courses || [];
+  const courseIds = new Set(currentCourses.map((c) => c.id));
+  const backupCommitments = backup.commitments || [];
+  const currentCommitments = current.commitments || [];
+  const commitmentIds = new Set(currentCommitments.map((c) => c.id));
+  const next =
+    mode === "replace"
+      ? {
+          templates: backupTemplates,
+          commitments: backupCommitments,
+          freeOverrides: backupOverrides,
+          week1StartSunday: backup.week1StartSunday || current.week1StartSunday,
+          settings: backup.settings
+            ? { ...DEFAULT_SETTINGS, ...backup.settings }
+            : current.settings,
+          courses: backup.courses || [],
+        }
+      : {
+          templates: current.templates,
+          commitments: [
+            ...currentCommitments,
+            ...backupCommitments.filter((c) => !commitmentIds.has(c.id)),
+          ],
+          freeOverrides: {
+            week1: { ...backupOverrides.week1, ...current.freeOverrides.week1 },
+            week2: { ...backupOverrides.week2, ...current.freeOverrides.week2 },
+          },
+          week1StartSunday: current.week1StartSunday,
+          settings: current.settings,
+          courses: [
+            ...currentCourses,
+            ...(backup.courses || []).filter((c) => !courseIds.has(c.id)),
+          ],
+        };
 
-    const taskId = addTask(taskDraft);
-    setPlacements((prev) => [
-      {
-        id: crypto.randomUUID(),
-        taskId,
-        week: activeWeek,
-        day: slot.day,
-        start: slot.start,
-        end: slot.end,
-      },
-      ...prev,
-    ]);
+  return { next: { ...next, tasks, placements }, report };
+}
+
+// ---------- Migrations ----------
+// Ordered upgrades; each one takes data saved at `version - 1` and returns
+// it in the `version` shape. Data without a version field is version 0.
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Week 1 / Week 2 overrides were one flat map for Week 1 only
+    migrate: (data) => ({
+      ...data,
+      freeOverrides: normalizeFreeOverrides(data.freeOverrides),
+    }),
+  },
+  {
+    version: 2,
+    // The viewed week follows the calendar; imported events were added
+    migrate: (data) => {
+      const next = { ...data, commitments: data.commitments || [] };
+      delete next.activeWeek;
+      return next;
+    },
+  },
+  {
+    version: 3,
+    // Block rules replaced the built-in word lists
+    migrate: (data) =>
+      data.templates
+        ? {
+            ...data,
+            templates: {
+              ...data.templates,
+              classification:
+                data.templates.classification || DEFAULT_CLASSIFICATION,
+            },
+          }
+        : data,
+  },
+  {
+    version: 4,
+    // Session length settings
+    migrate: (data) => ({
+      ...data,
+      settings: { ...DEFAULT_SETTINGS, ...data.settings },
+    }),
+  },
+  {
+    version: 5,
+    // Courses
+    migrate: (data) => ({ ...data, courses: data.courses || [] }),
+  },
+];
+
+// Upgrade saved data step by step. Throws with a readable message when the
+// data is corrupt or was written by a newer version of the app.
+function migrateData(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("The saved data is not a scheduler save.");
+  }
+  const from = data.version ?? 0;
+  if (!Number.isInteger(from) || from < 0) {
+    throw new Error(`The saved data has an invalid version (${from}).`);
+  }
+  if (from > SCHEMA_VERSION) {
+    throw new Error(
+      `The saved data is from a newer version of the app (v${from}; this app reads up to v${SCHEMA_VERSION}).`
+    );
   }
 
-  return (
+  let next = data;
+  for (const step of MIGRATIONS) {
+    if (step.version > from) next = step.migrate(next);
+  }
+  const problem = shapeProblem(next);
+  if (problem) throw new Error(`The saved data is damaged: ${problem}.`);
+  return { data: { ...next, version: SCHEMA_VERSION }, from };
+}
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// Fields may be missing (the defaults fill in), but one that is present
+// must have the shape the app reads; returns what is wrong, or null
+function shapeProblem(data) {
+  for (const key of ["tasks", "placements", "commitments", "courses"]) {
+    if (data[key] === undefined) continue;
+    if (!Array.isArray(data[key])) return `"${key}" is not a list`;
+    if (!data[key].every(isPlainObject)) {
+      return `"${key}" has an entry that is not an object`;
+    }
+  }
+  if (data.templates !== undefined) {
+    if (!isPlainObject(data.templates)) return '"templates" is not an object';
+    const weeks = data.templates.templates;
+    if (weeks !== undefined && !isPlainObject(weeks)) {
+      return '"templates.templates" is not an object';
+    }
+    for (const week of ["week1", "week2"]) {
+      const tpl = weeks?.[week];
+      if (tpl === undefined) continue;
+      if (!isPlainObject(tpl) || !Array.isArray(tpl.grid)) {
+        return `${week} has no grid`;
+      }
+      if (!tpl.grid.every(isPlainObject)) {
+        return `${week} has a row that is not an object`;
+      }
+    }
+  }
+  if (data.freeOverrides !== undefined) {
+    const o = data.freeOverrides;
+    if (!isPlainObject(o) || !["week1", "week2"].every((w) => isPlainObject(o[w]))) {
+      return '"freeOverrides" is not a Week 1 / Week 2 map';
+    }
+  }
+  if (data.settings !== undefined && !isPlainObject(data.settings)) {
+    return '"settings" is not an object';
+  }
+  if (
+    data.week1StartSunday !== undefined &&
+    !/^\d{4}-\d{2}-\d{2}$/.test(String(data.week1StartSunday))
+  ) {
+    return '"week1StartSunday" is not a date';
+  }
+  return null;
+}
+
+// ---------- Undo history ----------
+// The saved-data fields undo/redo restores; view, dialogs and the viewed
+// week are not part of the history.
+const HISTORY_FIELDS = [
+  "templates",
+  "courses",
+  "tasks",
+  "placements",
+  "commitments",
+  "freeOverrides",
+  "week1StartSunday",
+];
+const HISTORY_LIMIT = 30;
+// Fewer steps survive a reload, and storage gives up on them first
+const HISTORY_SAVED_LIMIT = 10;
+const HISTORY_SAVE_TRIES = 4;
+
+// Snapshots share state objects, so unchanged fields compare by identity
+function sameSnapshot(a, b) {
+  return HISTORY_FIELDS.every((k) => a[k] === b[k]);
+}
+
+// A new change drops anything that could have been redone
+function recordHistory(history, snapshot) {
+  return {
+    past: [...history.past, snapshot].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+}
+
+// Saved steps only keep the fields that changed since the step before, so
+// the usual one-field edit costs one field instead of the whole data
+function packHistory(list) {
+  return list.map((s, i) =>
+    i === 0
+      ? s
+      : Object.fromEntries(
+          HISTORY_FIELDS.filter((k) => s[k] !== list[i - 1][k]).map((k) => [
+            k,
+            s[k],
+          ])
+        )
+  );
+}
+
+function unpackHistory(list) {
+  const out = [];
+  list.forEach((s, i) => out.push(i === 0 ? s : { ...out[i - 1], ...s }));
+  return out;
+}
+
+// Snapshots in an older shape can't be restored, so history from another
+// schema version (or unreadable history) is dropped
+function loadHistory(storageKey) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${storageKey}_history`));
+    if (
+      saved?.version !== SCHEMA_VERSION ||
+      !Array.isArray(saved.past) ||
+      !Array.isArray(saved.future)
+    ) {
+      return null;
+    }
+    return {
+      past: unpackHistory(saved.past),
+      future: unpackHistory(saved.future),
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Returns { history, snapshot } to restore, or null when there is nothing to undo
+function undoHistory(history, current) {
+  if (!history.past.length) return null;
+  return {
+    snapshot: history.past[history.past.length - 1],
+    history: {
+      past: history.past.slice(0, -1),
+      future: [current, ...history.future],
+    },
+  };
+}
+
+function redoHistory(history, current) {
+  if (!history.future.length) return null;
+  return {
+    snapshot: history.future[0],
+    history: {
+      past: [...history.past, current],
+      future: history.future.slice(1),
+    },
+  };
+}
+
+// ---------- Calendar export ----------
+const ICS_UID_DOMAIN = "manara-scheduler";
+
+function icsEscape(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets (UTF-8) continue on the next line after a
+// space; a character is never split. Continuation lines hold 74 octets
+// after the leading space.
+function icsFold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(part);
+      part = "";
+      octets = 0;
+    }
+    part += ch;
+    octets += size;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+}
+
+function icsDate(iso) {
+  return iso.replace(/-/g, "");
+}
+// Floating local time, so events land at the same clock time on any device
+function icsDateTime(iso, hhmm) {
+  return `${icsDate(iso)}T${hhmm.replace(":", "")}00`;
+}
+function icsStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Build an .ics calendar: dated placements are single events, repeating
+// placements recur every two weeks from their first Week 1 / Week 2 date,
+// and due dates are all-day events. UIDs come from placement and task ids
+// so re-importing the file updates events instead of duplicating them.
+function buildICS({ tasks, placements, week1StartSunday, now }) {
+  const taskById = Object.fromEntries(tasks.map((t) => [t.id, t]));
+  const stamp = icsStamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Manara//Weekly Scheduler//EN",
+    "CALSCALE:GREGORIAN",
+    "X-WR-CALNAME:Manara study plan",
+  ];
+
+  for (const p of placements) {
+    const t = taskById[p.taskId];
+    if (!t) continue;
+    const date =
+      p.date ||
+      addDays(
+        week1StartSunday,
+        (p.week === "week2" ? 7 : 0) + Math.max(0, DAYS.indexOf(p.day))
+      );
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${p.id}@${ICS_UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDateTime(date, p.start)}`,
+      `DTEND:${icsDateTime(date, p.end)}`,
+      ...(p.date ? [] : ["RRULE:FREQ=WEEKLY;INTERVAL=2"]),
+      `SUMMARY:${icsEscape(t.title)}`,
+      `DESCRIPTION:${icsEscape(
+        `${t.estimatedMin} min task • due ${t.dueDate || "—"} • ${t.priority}`
+      )}`,
+      "END:VEVENT"
+    );
+  }
+
+  for (const t of tasks) {
+    if (!t.dueDate) continue;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:due-${t.id}@${ICS_UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(t.dueDate)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(t.dueDate, 1))}`,
+      `SUMMARY:${icsEscape(
+        `Due: ${t.title}${t.status === "done" ? " (done)" : ""}`
+      )}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// ---------- Calendar import ----------
+// External events become "commitments": busy ranges on one date each, with
+// the same date/day/start/end shape as placements so the occupancy layer
+// subtracts them from free blocks.
+const MAX_RECURRENCES = 200;
+
+function icsUnescape(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, c) =>
+    c === "n" || c === "N" ? "\n" : c
+  );
+}
+
+// 20260105, 20260105T080000, 20260105T130000Z -> { date, time } (local)
+function parseICSDate(value) {
+  const m = value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{0,2}(Z)?)?$/
+  );
+  if (!m) return null;
+  const [, y, mo, d, h, mi, utc] = m;
+  if (h === undefined) return { date: `${y}-${mo}-${d}`, time: null };
+  if (utc) {
+    const local = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi));
+    return {
+      date: toISODate(local),
+      time: toHHMM(local.getHours() * 60 + local.getMinutes()),
+    };
+  }
+  return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}` };
+}
+
+// PT1H30M, P1D -> minutes
+function parseICSDuration(value) {
+  const m = value.match(
+    /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?/
+  );
+  if (!m) return null;
+  const [, w = 0, d = 0, h = 0, mi = 0] = m;
+  return ((+w * 7 + +d) * 24 + +h) * 60 + +mi;
+}
+
+// Read VEVENTs from .ics text. TZID times are read as local clock time.
+function parseICS(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let ev = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      ev = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (ev?.start) events.push(ev);
+      ev = null;
+      continue;
+    }
+    if (!ev) continue;
+
+    const colon = line.indexOf(":");
+    if (colon < 0) continue;
+    const name = line.slice(0, colon).split(";")[0].toUpperCase();
+    const value = line.slice(colon + 1);
+
+    if (name === "UID") ev.uid = value;
+    else if (name === "SUMMARY") ev.title = icsUnescape(value);
+    else if (name === "DTSTART") ev.start = parseICSDate(value);
+    else if (name === "DTEND") ev.end = parseICSDate(value);
+    else if (name === "DURATION") ev.duration = parseICSDuration(value);
+    else if (name === "EXDATE") {
+      ev.exdates = [
+        ...(ev.exdates || []),
+        ...value
+          .split(",")
+          .map((v) => parseICSDate(v)?.date)
+          .filter(Boolean),
+      ];
+    }
+    else if (name === "RRULE") {
+      ev.rrule = Object.fromEntries(
+        value.split(";").map((kv) => kv.split("="))
+      );
+    }
+  }
+  return events;
+}
+
+// Start dates of an event: DAILY / WEEKLY rules with INTERVAL, COUNT, UNTIL
+// and BYDAY are expanded (weeks start on Monday, the iCalendar default);
+// anything else keeps only the first occurrence. EXDATE dates are left out.
+const ICS_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+function occurrenceDates(ev) {
+  const rule = ev.rrule;
+  const skipped = new Set(ev.exdates || []);
+  if (rule?.FREQ !== "DAILY" && rule?.FREQ !== "WEEKLY") {
+    return [ev.start.date].filter((d) => !skipped.has(d));
+  }
+
+  const interval = Number(rule.INTERVAL) || 1;
+  const count = Math.min(
+    Number(rule.COUNT) || MAX_RECURRENCES,
+    MAX_RECURRENCES
+  );
+  const until = rule.UNTIL ? parseICSDate(rule.UNTIL)?.date : null;
+  const first = parseISODate(ev.start.date).getDay();
+  const byDay = (rule.BYDAY || "")
+    .split(",")
+    .map((d) => ICS_DAYS.indexOf(d.trim().slice(-2)))
+    .filter((i) => i >= 0);
+  const weekdays = byDay.length
+    ? byDay
+    : rule.FREQ === "WEEKLY"
+    ? [first]
+    : [0, 1, 2, 3, 4, 5, 6];
+  const monday = addDays(ev.start.date, -((first + 6) % 7));
+
+  const dates = [];
+  for (let date = ev.start.date; dates.length < count; date = addDays(date, 1)) {
+    if (until && date > until) break;
+    const inCycle =
+      rule.FREQ === "DAILY"
+        ? daysBetween(ev.start.date, date) % interval === 0
+        : Math.floor(daysBetween(monday, date) / 7) % interval === 0;
+    if (inCycle && weekdays.includes(parseISODate(date).getDay())) {
+      dates.push(date);
+    }
+  }
+  return dates.filter((d) => !skipped.has(d));
+}
+
+function daysBetween(fromISO, toISO) {
+  return Math.round((parseISODate(toISO) - parseISODate(fromISO)) / DAY_MS);
+}
+
+// Split one occurrence into per-date busy ranges
+function occurrencePieces(ev, date) {
+  const pieces = [];
+  if (!ev.start.time) {
+    const days = ev.end?.date
+      ? Math.max(1, daysBetween(ev.start.date, ev.end.date))
+      : 1;
+    for (let i = 0; i < days; i++) {
+      pieces.push({ date: addDays(date, i), start: "00:00", end: "24:00" });
+    }
+    return pieces;
+  }
+
+  const startMin = toMin(ev.start.time);
+  let length = ev.duration ?? 60;
+  if (ev.end?.time) {
+    length =
+      daysBetween(ev.start.date, ev.end.date) * 1440 +
+      toMin(ev.end.time) -
+      startMin;
+  }
+  let from = startMin;
+  let left = Math.max(0, length);
+  for (let i = 0; left > 0; i++) {
+    const to = Math.min(1440, from + left);
+    pieces.push({
+      date: addDays(date, i),
+      start: toHHMM(from),
+      end: toHHMM(to),
+    });
+    left -= to - from;
+    from = 0;
+  }
+  return pieces;
+}
+
+// Events without a UID get one from their start, end and title, so importing
+// the same file again replaces them instead of adding copies
+function eventUid(ev) {
+  if (ev.uid) return ev.uid;
+  const at = (d) => (d ? `${d.date}T${d.time || ""}` : "");
+  return `nouid:${at(ev.start)}|${at(ev.end) || ev.duration || ""}|${ev.title || ""}`;
+}
+
+function eventsToCommitments(events) {
+  const commitments = [];
+  for (const ev of events) {
+    const uid = eventUid(ev);
+    for (const date of occurrenceDates(ev)) {
+      for (const piece of occurrencePieces(ev, date)) {
+        commitments.push({
+          id: `${uid}|${piece.date}|${piece.start}`,
+          uid,
+          title: ev.title || "Busy",
+          day: DAYS[parseISODate(piece.date).getDay()],
+          ...piece,
+        });
+      }
+    }
+  }
+  return commitments;
+}
+
+// ---------- Timetable edits ----------
+// Rows are matched by their times, so a row whose start or end changed reads
+// as removed + added. Each removed row maps to the added row of that week it
+// overlaps most; forced-free overrides and upcoming placements inside it
+// follow (placements keep their offset from the row start). What can't
+// follow is left out and listed in `dropped`.
+function remapTimetableChange({
+  before,
+  after,
+  freeOverrides,
+  placements,
+  fallbackWeek,
+  today,
+}) {
+  const rangesOf = (tpl) =>
+    (tpl?.grid || [])
+      .map((row) => parseRange(`${row.start}-${row.end}`))
+      .filter(Boolean);
+  const sameRange = (a, b) => a.start === b.start && a.end === b.end;
+  const overlap = (a, b) =>
+    Math.min(a.endMin, b.endMin) - Math.max(a.startMin, b.startMin);
+  let nextOverrides = freeOverrides;
+  const changed = new Map();
+  const dropped = { overrides: [], placements: [] };
+
+  for (const week of ["week1", "week2"]) {
+    const oldRanges = rangesOf(before.templates?.[week]);
+    const newRanges = rangesOf(after.templates?.[week]);
+    const added = newRanges.filter((n) => !oldRanges.some((r) => sameRange(r, n)));
+    const targets = [];
+    for (const r of oldRanges) {
+      if (newRanges.some((n) => sameRange(r, n))) continue;
+      const taken = targets.map((t) => t.to);
+      const to = added
+        .filter((n) => overlap(r, n) > 0 && !taken.includes(n))
+        .sort((a, b) => overlap(r, b) - overlap(r, a))[0];
+      targets.push({ from: r, to: to || null });
+    }
+    if (!targets.length) continue;
+
+    const weekOverrides = { ...(freeOverrides[week] || {}) };
+    for (const key of Object.keys(weekOverrides)) {
+      const [day, start, end] = key.split("_");
+      const hit = targets.find(({ from }) => from.start === start && from.end === end);
+      if (!hit) continue;
+      const value = weekOverrides[key];
+      delete weekOverrides[key];
+      if (hit.to) weekOverrides[blockKey(day, hit.to.start, hit.to.end)] = value;
+      else dropped.overrides.push({ week, day, start, end });
+    }
+    nextOverrides = { ...nextOverrides, [week]: weekOverrides };
+
+    for (const p of placements) {
+      if ((p.week || fallbackWeek) !== week || (p.date && p.date < today)) continue;
+      const startMin = toMin(p.start);
+      const endMin = toMin(p.end);
+      const hit = targets.find(
+        ({ from }) => startMin >= from.startMin && endMin <= from.endMin
+      );
+      if (!hit) continue;
+      const shift = hit.to ? hit.to.startMin - hit.from.startMin : 0;
+      if (hit.to && endMin + shift <= hit.to.endMin) {
+        changed.set(p, {
+          ...p,
+          start: toHHMM(startMin + shift),
+          end: toHHMM(endMin + shift),
+        });
+      } else {
+        changed.set(p, null);
+        dropped.placements.push(p);
+      }
+    }
+  }
+
+  return {
+    freeOverrides: nextOverrides,
+    placements: changed.size
+      ? placements.flatMap((p) =>
+          !changed.has(p) ? [p] : changed.get(p) ? [changed.get(p)] : []
+        )
+      : placements,
+    dropped,
+  };
+}
+
+// ---------- Occupancy ----------
+// A block is a free slot from buildSlots; placements booked into it may cover
+// any part of its range. Every scheduler works with the gaps that are left.
+function blockKey(day, start, end) {
+  return `${day}_${start}_${end}`;
+}
+
+// Dated placements belong to one calendar day; placements saved without a
+// date repeat on every matching Week 1 / Week 2 (`fallbackWeek` if unset).
+function placementOnDate(p, date, week, fallbackWeek) {
+  return p.date ? p.date === date : (p.week || fallbackWeek) === week;
+}
+
+// Placements on the block's date (or week) whose time overlaps the block
+function placementsInBlock(placements, week, block, fallbackWeek) {
+  return placements.filter(
+    (p) =>
+      placementOnDate(p, block.date, week, fallbackWeek) &&
+      p.day === block.day &&
+      toMin(p.start) < block.endMin &&
+      toMin(p.end) > block.startMin
+  );
+}
+
+// Split a block into the gaps its booked placements leave open
+function freeGaps(block, booked) {
+  const ranges = booked
+    .map((p) => [toMin(p.start), toMin(p.end)])
+    .sort((a, b) => a[0] - b[0]);
+  const gap = (startMin, endMin) => ({
+    ...block,
+    startMin,
+    endMin,
+    start: toHHMM(startMin),
+    end: toHHMM(endMin),
+    minutes: endMin - startMin,
+  });
+
+  const gaps = [];
+  let cursor = block.startMin;
+  for (const [startMin, endMin] of ranges) {
+    if (startMin > cursor) {
+      gaps.push(gap(cursor, Math.min(startMin, block.endMin)));
+    }
+    cursor = Math.max(cursor, endMin);
+  }
+  if (cursor < block.endMin) gaps.push(gap(cursor, block.endMin));
+  return gaps;
+}
+
+function remainingMinutes(block, booked) {
+  return freeGaps(block, booked).reduce((sum, g) => sum + g.minutes, 0);
+}
+
+// First gap long enough for `minutes`, otherwise the longest one
+function pickGap(gaps, minutes) {
+  return (
+    gaps.find((g) => g.minutes >= minutes) ||
+    [...gaps].sort((a, b) => b.minutes - a.minutes)[0] ||
+    null
+  );
+}
+
+// Place `minutes` in the gap nearest to `wantedMin`, starting as close to it
+// as the gap allows. Null when no gap is long enough.
+function fitInGaps(gaps, minutes, wantedMin) {
+  let best = null;
+  for (const g of gaps) {
+    if (g.minutes < minutes) continue;
+    const startMin = Math.min(
+      Math.max(snapMin(wantedMin), g.startMin),
+      g.endMin - minutes
+    );
+    const distance = Math.abs(startMin - wantedMin);
+    if (!best || distance < best.distance) best = { startMin, distance };
+  }
+  if (!best) return null;
+  const endMin = best.startMin + minutes;
+  return {
+    startMin: best.startMin,
+    endMin,
+    start: toHHMM(best.startMin),
+    end: toHHMM(endMin),
+  };
+}
+
+// ---------- Resizing ----------
+const SNAP_MIN = 5;
+
+function snapMin(min) {
+  return Math.round(min / SNAP_MIN) * SNAP_MIN;
+}
+
+// How far a placement can grow inside its block without covering `booked`
+function resizeBounds(block, booked, p) {
+  const s = toMin(p.start);
+  const e = toMin(p.end);
+  let minStart = block.startMin;
+  let maxEnd = block.endMin;
+  for (const q of booked) {
+    if (toMin(q.end) <= s) minStart = Math.max(minStart, toMin(q.end));
+    if (toMin(q.start) >= e) maxEnd = Math.min(maxEnd, toMin(q.start));
+  }
+  return { minStart: Math.min(minStart, s), maxEnd: Math.max(maxEnd, e) };
+}
+
+// Move one edge of `p` to `minute` (snapped), keeping at least SNAP_MIN
+function resizeTo(p, edge, minute, bounds) {
+  const at = snapMin(minute);
+  if (edge === "start") {
+    const startMin = Math.min(
+      Math.max(at, bounds.minStart),
+      toMin(p.end) - SNAP_MIN
+    );
+    return { start: toHHMM(startMin), end: p.end };
+  }
+  const endMin = Math.max(Math.min(at, bounds.maxEnd), toMin(p.start) + SNAP_MIN);
+  return { start: p.start, end: toHHMM(endMin) };
+}
+
+// Top/height (in % of the block) for drawing `p` inside the block
+function trackPosition(block, p) {
+  const length = block.endMin - block.startMin;
+  const s = Math.max(toMin(p.start), block.startMin);
+  const e = Math.min(toMin(p.end), block.endMin);
+  return {
+    top: `${((s - block.startMin) / length) * 100}%`,
+    height: `${((e - s) / length) * 100}%`,
+  };
+}
+
+// ---------- Split / merge ----------
+// Two halves split at the snapped midpoint; null when too short to split
+function splitPlacement(p) {
+  const s = toMin(p.start);
+  const e = toMin(p.end);
+  const at = snapMin((s + e) / 2);
+  if (at - s < SNAP_MIN || e - at < SNAP_MIN) return null;
+  return [
+    { ...p, end: toHHMM(at) },
+    { ...p, id: crypto.randomUUID(), start: toHHMM(at) },
+  ];
+}
+
+// The placement of the same task that starts exactly where `p` ends
+function nextAdjacent(p, placements) {
+  return (
+    placements.find(
+      (q) =>
+        q.id !== p.id &&
+        q.taskId === p.taskId &&
+        q.day === p.day &&
+        (p.date ? q.date === p.date : !q.date && q.week === p.week) &&
+        q.start === p.end
+    ) || null
+  );
+}
+
+// Minutes placed for a task (a repeating placement counts once)
+function placedMinutes(taskId, placements) {
+  return placements
+    .filter((p) => p.taskId === taskId)
+    .reduce((sum, p) => sum + toMin(p.end) - toMin(p.start), 0);
+}
+
+// Replace each dated slot with the free gaps left after placements
+function subtractPlacements(slots, placements, week, fallbackWeek) {
+  return slots.flatMap((s) =>
+    freeGaps(s, placementsInBlock(placements, week, s, fallbackWeek))
+  );
+}
+
+// ---------- Date helpers ----------
+function parseISODate(iso) {
+  return new Date(iso + "T00:00:00");
+}
+function toISODate(date) {
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${m}-${d}`;
+}
+function todayISO() {
+  return toISODate(new Date());
+}
+function addDays(iso, n) {
+  const d = parseISODate(iso);
+  d.setDate(d.getDate() + n);
+  return toISODate(d);
+}
+function sundayOf(iso) {
+  return addDays(iso, -parseISODate(iso).getDay());
+}
+function formatShortDate(iso) {
+  return parseISODate(iso).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+  });
+}
+function weekKeyForDate(week1StartSunday, iso) {
+  const diffDays = Math.round(
+    (parseISODate(iso) - parseISODate(week1StartSunday)) / DAY_MS
+  );
+  return Math.floor(diffDays / 7) % 2 === 0 ? "week1" : "week2";
+}
+
+// Sunday of the next occurrence of targetWeek whose startDay is not in the past
+function nextWeekStart(week1StartSunday, targetWeek, startDay, fromISO) {
+  let start = sundayOf(fromISO);
+  if (weekKeyForDate(week1StartSunday, start) !== targetWeek) {
+    start = addDays(start, 7);
+  }
+  const startIdx = Math.max(0, DAYS.indexOf(startDay));
+  if (addDays(start, startIdx) < fromISO) start = addDays(start, 14);
+  return start;
+}
+
+// Calendar date for each day when walking a template week from startDay.
+// Days before startDay wrap to the next occurrence of the same template
+// week (two weeks later).
+function windowDates(weekStart, startDay) {
+  const startIdx = Math.max(0, DAYS.indexOf(startDay));
+  return Object.fromEntries(
+    DAYS.map((day, idx) => [
+      day,
+      addDays(weekStart, idx >= startIdx ? idx : idx + 14),
+    ])
+  );
+}
+
+function dateSlots(slots, weekStart, startDay) {
+  const dates = windowDates(weekStart, startDay);
+  return slots
+    .map((s) => ({ ...s, date: dates[s.day] }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin);
+}
+
+// ---------- Courses ----------
+// Class names are spelled out so Tailwind keeps them
+const COURSE_COLORS = {
+  indigo: { swatch: "bg-indigo-500", item: "bg-indigo-50 border-indigo-200", text: "text-indigo-800" },
+  sky: { swatch: "bg-sky-500", item: "bg-sky-50 border-sky-200", text: "text-sky-800" },
+  violet: { swatch: "bg-violet-500", item: "bg-violet-50 border-violet-200", text: "text-violet-800" },
+  fuchsia: { swatch: "bg-fuchsia-500", item: "bg-fuchsia-50 border-fuchsia-200", text: "text-fuchsia-800" },
+  amber: { swatch: "bg-amber-500", item: "bg-amber-50 border-amber-200", text: "text-amber-800" },
+  orange: { swatch: "bg-orange-500", item: "bg-orange-50 border-orange-200", text: "text-orange-800" },
+  teal: { swatch: "bg-teal-500", item: "bg-teal-50 border-teal-200", text: "text-teal-800" },
+  lime: { swatch: "bg-lime-500", item: "bg-lime-50 border-lime-200", text: "text-lime-800" },
+};
+
+function courseColor(course) {
+  return COURSE_COLORS[course?.color] || COURSE_COLORS.indigo;
+}
+
+// The course whose linked labels include this timetable label
+function courseForLabel(courses, label) {
+  const key = String(label || "").trim().toLowerCase();
+  if (!key) return null;
+  return (
+    courses.find((c) =>
+      (c.labels || []).some((l) => l.trim().toLowerCase() === key)
+    ) || null
+  );
+}
+
+// filter: "all", "none" (no course) or a course id
+function matchesCourse(task, filter) {
+  if (filter === "all") return true;
+  if (filter === "none") return !task?.courseId;
+  return task?.courseId === filter;
+}
+
+// ---------- Time logging ----------
+// task.log: [{ id, at: ISO timestamp, minutes, placementId? }]
+function actualMinutes(task) {
+  return (task.log || []).reduce((sum, e) => sum + (Number(e.minutes) || 0), 0);
+}
+
+// Log minutes against a task; a block's entry is replaced when re-logged
+function addLogEntry(task, minutes, placementId) {
+  const log = (task.log || []).filter(
+    (e) => !placementId || e.placementId !== placementId
+  );
+  return {
+    ...task,
+    log: [
+      ...log,
+      {
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        minutes,
+        ...(placementId ? { placementId } : {}),
+      },
+    ],
+  };
+}
+
+// Done tasks with logged time, grouped by `keyOf(task)` (null = skipped).
+// ratio = actual / estimated minutes across the group.
+function estimateAccuracy(tasks, keyOf) {
+  const groups = {};
+  for (const t of tasks) {
+    const key = keyOf(t);
+    const estimated = Number(t.estimatedMin) || 0;
+    const actual = actualMinutes(t);
+    if (key == null || t.status !== "done" || !estimated || !actual) continue;
+    const g = (groups[key] ||= { key, count: 0, estimated: 0, actual: 0 });
+    g.count++;
+    g.estimated += estimated;
+    g.actual += actual;
+  }
+  return Object.values(groups).map((g) => ({
+    ...g,
+    ratio: g.actual / g.estimated,
+  }));
+}
+
+// Suggested minutes from a group's past accuracy (needs two finished tasks)
+function suggestEstimate(group, minutes) {
+  if (!group || group.count < 2 || !minutes) return null;
+  const suggested = Math.max(5, Math.round((minutes * group.ratio) / 5) * 5);
+  return suggested === minutes ? null : suggested;
+}
+
+// ---------- Focus sessions ----------
+const POMODORO = { workMin: 25, breakMin: 5, longBreakMin: 15, longEvery: 4 };
+// Block-length sessions remind you to take a short break this often
+const BREAK_EVERY_MIN = 50;
+const MINUTE_MS = 60 * 1000;
+
+// focus: { taskId, placementId?, mode: null | "pomodoro" | "block",
+//          phase: "work" | "break", phaseMs, phaseElapsed, runningSince,
+//          workedMs, round, breaksReminded, reminder, finished }
+function startFocus(f, mode, blockMin, now) {
+  return {
+    ...f,
+    mode,
+    phase: "work",
+    phaseMs: (mode === "pomodoro" ? POMODORO.workMin : blockMin) * MINUTE_MS,
+    phaseElapsed: 0,
+    runningSince: now,
+    workedMs: 0,
+    round: 1,
+    breaksReminded: 0,
+    reminder: null,
+    finished: false,
+  };
+}
+
+function focusElapsed(f, now) {
+  return f.phaseElapsed + (f.runningSince != null ? now - f.runningSince : 0);
+}
+
+// Work time so far; breaks don't count
+function focusWorkedMs(f, now) {
+  return (
+    f.workedMs +
+    (f.phase === "work" ? Math.min(focusElapsed(f, now), f.phaseMs) : 0)
+  );
+}
+
+function pauseFocus(f, now) {
+  return { ...f, phaseElapsed: focusElapsed(f, now), runningSince: null };
+}
+
+function resumeFocus(f, now) {
+  return { ...f, runningSince: now, reminder: null };
+}
+
+// One step forward in time: start the next Pomodoro phase, remind about a
+// break, or finish a block-length session. Returns `f` when nothing changed.
+function tickFocus(f, now) {
+  if (!f.mode || f.runningSince == null || f.finished) return f;
+  const elapsed = focusElapsed(f, now);
+
+  if (f.mode === "block") {
+    if (elapsed >= f.phaseMs) {
+      return {
+        ...f,
+        phaseElapsed: f.phaseMs,
+        runningSince: null,
+        finished: true,
+        reminder: "Time's up.",
+      };
+    }
+    const due = Math.floor(elapsed / (BREAK_EVERY_MIN * MINUTE_MS));
+    if (due > f.breaksReminded) {
+      return {
+        ...f,
+        breaksReminded: due,
+        reminder: `${due * BREAK_EVERY_MIN} min of focus — take a 5-minute break.`,
+      };
+    }
+    return f;
+  }
+
+  if (elapsed < f.phaseMs) return f;
+  // Phases run back to back, even if the tab slept through the change
+  const endedAt = f.runningSince + (f.phaseMs - f.phaseElapsed);
+  if (f.phase === "work") {
+    const long = f.round % POMODORO.longEvery === 0;
+    const breakMin = long ? POMODORO.longBreakMin : POMODORO.breakMin;
+    return {
+      ...f,
+      phase: "break",
+      workedMs: f.workedMs + f.phaseMs,
+      phaseMs: breakMin * MINUTE_MS,
+      phaseElapsed: 0,
+      runningSince: endedAt,
+      reminder: `Break time: ${breakMin} minutes.`,
+    };
+  }
+  return {
+    ...f,
+    phase: "work",
+    round: f.round + 1,
+    phaseMs: POMODORO.workMin * MINUTE_MS,
+    phaseElapsed: 0,
+    runningSince: endedAt,
+    reminder: "Break's over — back to work.",
+  };
+}
+
+// Once a task is done during focus, its blocks still ahead come off the
+// schedule: dated ones after today and every repeating Week 1 / Week 2 one.
+// A repeating focused block is pinned to today so the session keeps its
+// block; if it isn't a today block it goes too.
+function finishTaskPlacements(placements, taskId, focusedId, today) {
+  const todayName = DAYS[parseISODate(today).getDay()];
+  const removed = [];
+  const next = [];
+  for (const p of placements) {
+    if (p.taskId !== taskId || (p.date && p.date <= today)) {
+      next.push(p);
+    } else if (p.id === focusedId && (p.date || p.day === todayName)) {
+      next.push(p.date ? p : { ...p, date: today });
+    } else {
+      removed.push(p);
+    }
+  }
+  return { removed, placements: next };
+}
+
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const m = Math.floor(total / 60);
+  return `${m}:${String(total % 60).padStart(2, "0")}`;
+}
+
+// ---------- Reminders ----------
+// How far ahead placements are resolved to dates, and how late a missed
+// reminder (tab asleep or closed) may still be shown
+const REMINDER_HORIZON_DAYS = 8;
+const REMINDER_GRACE_MIN = 15;
+
+function atTime(iso, hhmm) {
+  return parseISODate(iso).getTime() + toMin(hhmm) * MINUTE_MS;
+}
+
+function inQuietHours(minuteOfDay, quietStart, quietEnd) {
+  const start = toMin(quietStart);
+  const end = toMin(quietEnd);
+  if (start === end) return false;
+  return start < end
+    ? minuteOfDay >= start && minuteOfDay < end
+    : minuteOfDay >= start || minuteOfDay < end;
+}
+
+// Push a reminder time that falls in quiet hours to when they end
+function afterQuietHours(ms, reminders) {
+  const d = new Date(ms);
+  if (!inQuietHours(d.getHours() * 60 + d.getMinutes(), reminders.quietStart, reminders.quietEnd)) {
+    return ms;
+  }
+  const date = toISODate(d);
+  const end = atTime(date, reminders.quietEnd);
+  return end > ms ? end : atTime(addDays(date, 1), reminders.quietEnd);
+}
+
+// Every reminder from `now` to REMINDER_HORIZON_DAYS ahead, earliest first:
+// { key, at, expiresAt, taskId, title, body }. Undated placements repeat on
+// each matching Week 1 / Week 2 date. A reminder is dropped once its block
+// starts or its due date arrives, so quiet hours never make it late.
+function buildReminders({ tasks, placements, week1StartSunday, fallbackWeek, reminders, now }) {
+  const today = toISODate(new Date(now));
+  const taskById = Object.fromEntries(tasks.map((t) => [t.id, t]));
+  const out = [];
+
+  for (let i = 0; i <= REMINDER_HORIZON_DAYS; i++) {
+    const date = addDays(today, i);
+    const day = DAYS[parseISODate(date).getDay()];
+    const week = weekKeyForDate(week1StartSunday, date);
+    for (const p of placements) {
+      const t = taskById[p.taskId];
+      if (!t || t.status === "done" || p.day !== day) continue;
+      if (!placementOnDate(p, date, week, fallbackWeek)) continue;
+      const startMs = atTime(date, p.start);
+      const at = afterQuietHours(startMs - reminders.leadMin * MINUTE_MS, reminders);
+      if (at >= startMs) continue;
+      out.push({
+        key: `block:${p.id}:${date}`,
+        at,
+        expiresAt: startMs,
+        taskId: t.id,
+        title: `${t.title} at ${p.start}`,
+        body: `${day} ${p.start}–${p.end}`,
+      });
+    }
+  }
+
+  for (const t of tasks) {
+    if (t.status === "done" || !t.dueDate || t.dueDate < today) continue;
+    const dueMs = atTime(t.dueDate, "00:00");
+    const at = afterQuietHours(atTime(addDays(t.dueDate, -1), reminders.dueTime), reminders);
+    if (at >= dueMs) continue;
+    out.push({
+      key: `due:${t.id}:${t.dueDate}`,
+      at,
+      expiresAt: dueMs,
+      taskId: t.id,
+      title: `Due tomorrow: ${t.title}`,
+      body: `${formatShortDate(t.dueDate)} • ${t.estimatedMin} min • ${t.priority}`,
+    });
+  }
+
+  return out.sort((a, b) => a.at - b.at);
+}
+
+// Reminders to show now that have not been shown yet (`sent`: key → time)
+function dueReminders(list, sent, now) {
+  return list.filter(
+    (r) =>
+      !sent[r.key] &&
+      r.at <= now &&
+      now < r.expiresAt &&
+      now - r.at < REMINDER_GRACE_MIN * MINUTE_MS
+  );
+}
+
+function isOverdue(task, today) {
+  return task.status !== "done" && !!task.dueDate && task.dueDate < today;
+}
+
+// ---------- Workload ----------
+const DUE_SOON_DAYS = 3;
+const MAX_RANGE_DAYS = 62;
+
+function datesBetween(from, to) {
+  const out = [];
+  for (let d = from; d <= to && out.length < MAX_RANGE_DAYS; d = addDays(d, 1)) {
+    out.push(d);
+  }
+  return out;
+}
+
+// Per date: minutes in the day's FREE blocks (less calendar commitments)
+// and minutes of placements on it. scheduledMin > freeMin = overloaded.
+function dailyLoad({
+  dates,
+  templates,
+  freeOverrides,
+  placements,
+  commitments = [],
+  week1StartSunday,
+  fallbackWeek,
+}) {
+  return dates.map((date) => {
+    const { day, week, free } = dayBlocks(date, {
+      templates,
+      freeOverrides,
+      week1StartSunday,
+    });
+    const freeMin = subtractPlacements(free, commitments, week).reduce(
+      (sum, s) => sum + s.minutes,
+      0
+    );
+    const scheduledMin = placements
+      .filter((p) => p.day === day && placementOnDate(p, date, week, fallbackWeek))
+      .reduce((sum, p) => sum + toMin(p.end) - toMin(p.start), 0);
+    return { date, day, week, freeMin, scheduledMin };
+  });
+}
+
+// FREE slots and the other (fixed) blocks of the template day `date` falls on
+function dayBlocks(date, { templates, freeOverrides, week1StartSunday }) {
+  const day = DAYS[parseISODate(date).getDay()];
+  const week = weekKeyForDate(week1StartSunday, date);
+  const template =
+    templates.templates?.[week] || DEFAULT_TEMPLATES.templates.week1;
+  const overrides = freeOverrides[week] || {};
+  const classification = classificationOf(templates);
+  const free = buildSlots(template, overrides, classification)
+    .filter((s) => s.day === day)
+    .map((s) => ({ ...s, date }));
+
+  const fixed = [];
+  for (const row of template.grid || []) {
+    const range = parseRange(`${row.start}-${row.end}`);
+    if (!range) continue;
+    const label = row.days?.[day] ?? null;
+    const key = blockKey(day, range.start, range.end);
+    if (overrides[key]) continue;
+    if (inferBlockType(label, classification) === BLOCK_TYPE.FREE) continue;
+    fixed.push({
+      key,
+      week,
+      date,
+      day,
+      label,
+      ...range,
+      minutes: durationMin(range),
+      isClass: isClassLabel(label, classification),
+    });
+  }
+  return { day, week, free, fixed };
+}
+
+// Totals for tasks due in [from, to]. Overdue and due soon are relative to
+// today and count every open task, like the header badge.
+function workloadSummary({ tasks, placements, from, to, today }) {
+  const inRange = tasks.filter(
+    (t) => t.dueDate && t.dueDate >= from && t.dueDate <= to
+  );
+  const open = inRange.filter((t) => t.status !== "done");
+  const allOpen = tasks.filter((t) => t.status !== "done" && t.dueDate);
+  const soon = addDays(today, DUE_SOON_DAYS);
+  return {
+    total: inRange.length,
+    done: inRange.length - open.length,
+    unscheduledMin: open.reduce(
+      (sum, t) =>
+        sum +
+        Math.max(0, (Number(t.estimatedMin) || 0) - placedMinutes(t.id, placements)),
+      0
+    ),
+    overdue: allOpen.filter((t) => isOverdue(t, today)).length,
+    dueSoon: allOpen.filter((t) => t.dueDate >= today && t.dueDate <= soon).length,
+  };
+}
+
+// Tasks marked done and minutes logged on each date
+function completionTrend(tasks, dates) {
+  const dayOf = (at) => toISODate(new Date(at));
+  const entries = tasks.flatMap((t) => t.log || []);
+  return dates.map((date) => ({
+    date,
+    completed: tasks.filter(
+      (t) => t.status === "done" && t.completedAt && dayOf(t.completedAt) === date
+    ).length,
+    loggedMin: entries
+      .filter((e) => e.at && dayOf(e.at) === date)
+      .reduce((sum, e) => sum + e.minutes, 0),
+  }));
+}
+
+// ---------- Capacity forecast ----------
+// A task that fits with less spare time than this share of what it still
+// needs is at risk
+const AT_RISK_SLACK = 0.25;
+const MAX_SUGGESTIONS = 3;
+
+// What each open task still needs (estimate less logged time and upcoming
+// placements before its due date) against the free minutes left before that
+// date. Tasks share free time earliest due date first, like Plan all.
+// Returns { [taskId]: { status: "late" | "risk", need, missing, spare,
+// blocks, lowerPriority } } for the tasks that need attention; tasks due
+// past the forecast horizon are not judged.
+function capacityForecast({
+  tasks,
+  placements,
+  commitments = [],
+  templates,
+  freeOverrides,
+  week1StartSunday,
+  fallbackWeek,
+  today,
+  nowMin,
+}) {
+  const horizon = datesBetween(today, addDays(today, MAX_RANGE_DAYS - 1));
+  const booked = [...placements, ...commitments];
+  const days = horizon.map((date) => {
+    const { day, week, free, fixed } = dayBlocks(date, {
+      templates,
+      freeOverrides,
+      week1StartSunday,
+    });
+    const ahead = (b) => date > today || b.startMin >= nowMin;
+    const freeMin = subtractPlacements(
+      free.filter(ahead),
+      booked,
+      week,
+      fallbackWeek
+    ).reduce((sum, s) => sum + s.minutes, 0);
+    return { date, day, week, freeMin, fixed: fixed.filter(ahead) };
+  });
+  const lastDue = addDays(horizon[horizon.length - 1], 1);
+  const taskById = Object.fromEntries(tasks.map((t) => [t.id, t]));
+  const rank = (t) => PRIORITY_RANK[t.priority] ?? 1;
+  const minutesOf = (p) => toMin(p.end) - toMin(p.start);
+  // Minutes of `p` on the days from today to the day before `due`; a
+  // repeating placement counts once for each of its dates in that window
+  const minutesBefore = (p, due) =>
+    days.filter(
+      (d) =>
+        d.date < due &&
+        (p.date || d.day === p.day) &&
+        placementOnDate(p, d.date, d.week, fallbackWeek)
+    ).length * minutesOf(p);
+
+  const open = tasks
+    .filter(
+      (t) =>
+        t.status !== "done" && t.dueDate && t.dueDate >= today && t.dueDate <= lastDue
+    )
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || rank(a) - rank(b));
+
+  const out = {};
+  let needed = 0;
+  for (const t of open) {
+    const remaining = Math.max(0, (Number(t.estimatedMin) || 0) - actualMinutes(t));
+    const covered = placements
+      .filter((p) => p.taskId === t.id)
+      .reduce((sum, p) => sum + minutesBefore(p, t.dueDate), 0);
+    const need = Math.max(0, remaining - covered);
+    if (!need) continue;
+
+    const capacity = days
+      .filter((d) => d.date < t.dueDate)
+      .reduce((sum, d) => sum + d.freeMin, 0);
+    // Minutes that can't fit don't use up free time for later tasks
+    const missing = Math.min(need, Math.max(0, needed + need - capacity));
+    needed += need - missing;
+    const spare = capacity - needed;
+    const short = missing || Math.ceil(need * AT_RISK_SLACK) - spare;
+    if (short <= 0) continue;
+
+    // Activities are suggested before lessons, each in date order
+    const candidates = days
+      .filter((d) => d.date < t.dueDate)
+      .flatMap((d) => d.fixed)
+      .sort((a, b) => a.isClass - b.isClass);
+    const blocks = [];
+    let gained = 0;
+    for (const b of candidates) {
+      if (gained >= short || blocks.length >= MAX_SUGGESTIONS) break;
+      blocks.push(b);
+      gained += b.minutes;
+    }
+
+    const lower = {};
+    for (const p of placements) {
+      const other = taskById[p.taskId];
+      if (!other || other.status === "done" || rank(other) <= rank(t)) continue;
+      const minutes = minutesBefore(p, t.dueDate);
+      if (minutes) lower[other.id] = (lower[other.id] || 0) + minutes;
+    }
+
+    out[t.id] = {
+      status: missing > 0 ? "late" : "risk",
+      need,
+      missing,
+      spare: Math.max(0, spare),
+      blocks,
+      lowerPriority: Object.entries(lower)
+        .map(([taskId, minutes]) => ({ taskId, minutes }))
+        .sort((a, b) => b.minutes - a.minutes)
+        .slice(0, MAX_SUGGESTIONS),
+    };
+  }
+  return out;
+}
+
+// ---------- Catch-up ----------
+const CATCH_UP_CHECK_MS = 5 * 60 * 1000;
+
+// Dated placements of open tasks that ended before now with no time logged
+// against them, earliest first. Undated placements repeat every two weeks
+// and never fall behind; `missedKept` ones were left in place on purpose.
+function missedPlacements(placements, tasks, today, nowMin) {
+  const open = new Set(tasks.filter((t) => t.status !== "done").map((t) => t.id));
+  const logged = new Set(
+    tasks.flatMap((t) => (t.log || []).map((e) => e.placementId).filter(Boolean))
+  );
+  return placements
+    .filter(
+      (p) =>
+        p.date &&
+        !p.missedKept &&
+        open.has(p.taskId) &&
+        !logged.has(p.id) &&
+        (p.date < today || (p.date === today && toMin(p.end) <= nowMin))
+    )
+    .sort((a, b) => a.date.localeCompare(b.date) || toMin(a.start) - toMin(b.start));
+}
+
+// Move each missed placement into the earliest free time from now on before
+// its task's due date; sessions follow the min/max settings and the first
+// piece keeps the placement's id. Returns [{ placement, to, unfitMin }];
+// `to` is empty when nothing fits.
+function planCatchUp({
+  missed,
+  tasks,
+  placements,
+  commitments = [],
+  templates,
+  freeOverrides,
+  week1StartSunday,
+  fallbackWeek,
+  today,
+  nowMin,
+  settings = DEFAULT_SETTINGS,
+}) {
+  const missedIds = new Set(missed.map((p) => p.id));
+  const booked = [...placements.filter((p) => !missedIds.has(p.id)), ...commitments];
+  let slots = [];
+  for (const date of datesBetween(today, addDays(today, MAX_RANGE_DAYS - 1))) {
+    const { week, free } = dayBlocks(date, {
+      templates,
+      freeOverrides,
+      week1StartSunday,
+    });
+    const ahead = free
+      .filter((s) => date > today || s.startMin >= nowMin)
+      .sort((a, b) => a.startMin - b.startMin);
+    slots.push(
+      ...subtractPlacements(ahead, booked, week, fallbackWeek).map((s) => ({ ...s, week }))
+    );
+  }
+
+  const taskById = Object.fromEntries(tasks.map((t) => [t.id, t]));
+  return missed.map((placement) => {
+    const task = taskById[placement.taskId];
+    const minutes = toMin(placement.end) - toMin(placement.start);
+    // Earliest first whatever the priority
+    const res = fillSlots(
+      { ...task, priority: "high", estimatedMin: minutes },
+      slots,
+      settings
+    );
+    slots = res.slots;
+    const to = res.placements.map((p, i) => (i === 0 ? { ...p, id: placement.id } : p));
+    return { placement, to, unfitMin: res.remaining };
+  });
+}
+
+// Apply the previewed moves of the placements in `ids` as they were shown;
+// the other missed placements stay where they are and are not offered again
+function applyCatchUpPlan(placements, plan, ids) {
+  const moves = Object.fromEntries(
+    plan.filter((m) => ids.has(m.placement.id)).map((m) => [m.placement.id, m.to])
+  );
+  const missedIds = new Set(plan.map((m) => m.placement.id));
+  return placements.flatMap((p) =>
+    !missedIds.has(p.id)
+      ? [p]
+      : moves[p.id]?.length
+      ? moves[p.id]
+      : [{ ...p, missedKept: true }]
+  );
+}
+
+function catchUpSummary(plan, ids) {
+  const chosen = plan.filter((m) => ids.has(m.placement.id));
+  return {
+    moved: chosen.filter((m) => m.to.length > 0),
+    stuck: chosen.filter((m) => m.to.length === 0),
+    kept: plan.filter((m) => !ids.has(m.placement.id)).map((m) => m.placement),
+  };
+}
+
+// ---------- Profiles ----------
+const PROFILES_KEY = `${LS_KEY}_profiles`;
+
+function profileKey(id) {
+  return id === DEFAULT_PROFILE_ID ? LS_KEY : `${LS_KEY}@${id}`;
+}
+
+// The saved profile list; an unreadable one falls back to the default
+// profile, whose data is never touched by this
+function loadProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (!Array.isArray(saved?.profiles) || saved.profiles.length === 0) {
+      return DEFAULT_PROFILES;
+    }
+    const activeId = saved.profiles.some((p) => p.id === saved.activeId)
+      ? saved.activeId
+      : saved.profiles[0].id;
+    return { activeId, profiles: saved.profiles };
+  } catch {
+    return DEFAULT_PROFILES;
+  }
+}
+
+// Storage keys that belong to profile `id` (data, history, backups...)
+function profileStorageKeys(id, keys) {
+  const base = profileKey(id);
+  return keys.filter(
+    (k) => k !== PROFILES_KEY && (k === base || k.startsWith(`${base}_`))
+  );
+}
+
+function fileSlug(name) {
+  return (
+    name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") ||
+    "profile"
+  );
+}
+
+// ---------- Share link ----------
+// A share link carries the payload in the URL fragment, which browsers never
+// send to a server: "#share=" + "z" (deflate-raw) or "j" (plain JSON, when
+// CompressionStream is missing) + base64url.
+const SHARE_PREFIX = "#share=";
+const SHARE_VERSION = 1;
+
+function shareCodeFrom(hash) {
+  return hash?.startsWith(SHARE_PREFIX) ? hash.slice(SHARE_PREFIX.length) : null;
+}
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+async function pipeBytes(bytes, stream) {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+async function encodeShare(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream === "undefined") return "j" + toBase64Url(bytes);
+  return "z" + toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")));
+}
+
+async function decodeShare(code) {
+  let payload;
+  try {
+    const bytes = fromBase64Url(code.slice(1));
+    const json =
+      code[0] === "z"
+        ? await pipeBytes(bytes, new DecompressionStream("deflate-raw"))
+        : bytes;
+    payload = JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw new Error("This share link is damaged or incomplete.");
+  }
+  if (payload?.v !== SHARE_VERSION) {
+    throw new Error("This share link is from a different version of the app.");
+  }
+  if (!sharePayloadOk(payload)) {
+    throw new Error("This share link is damaged or incomplete.");
+  }
+  return payload;
+}
+
+// The fields SharedPlan renders, in the shape buildSharePayload writes them,
+// down to each row, rule and placement (a link can be edited by hand)
+function sharePayloadOk(payload) {
+  const list = (v, ok) => Array.isArray(v) && v.every((x) => isPlainObject(x) && ok(x));
+  const text = (v) => typeof v === "string";
+  const optional = (v) => v === undefined || text(v);
+  const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const { template, classification } = payload;
+  return (
+    isDate(payload.weekStart) &&
+    (payload.week === "week1" || payload.week === "week2") &&
+    isPlainObject(template) &&
+    list(
+      template.grid,
+      (row) =>
+        validTimes(row) &&
+        (row.days === undefined ||
+          (isPlainObject(row.days) &&
+            Object.values(row.days).every((l) => l === null || text(l))))
+    ) &&
+    Array.isArray(template.notes) &&
+    template.notes.every(text) &&
+    isPlainObject(payload.overrides) &&
+    isPlainObject(classification) &&
+    list(classification.rules, (r) => !ruleError(r)) &&
+    optional(classification.fallback) &&
+    list(payload.tasks, (t) => text(t.id) && text(t.title) && optional(t.dueDate)) &&
+    list(payload.placements, (p) => text(p.taskId) && validPlacement(p)) &&
+    list(payload.commitments, (c) => isDate(c.date) && validPlacement(c)) &&
+    list(payload.courses, (c) => text(c.id) && text(c.name))
+  );
+}
+
+// The viewed week as a share payload: its template, overrides and block
+// rules, its placements and busy blocks, and the tasks placed in it or due
+// in it. Ids are shortened; `hideTitles` replaces task and event titles.
+function buildSharePayload({
+  weekStart,
+  week,
+  template,
+  overrides,
+  classification,
+  tasks,
+  placements,
+  commitments = [],
+  courses = [],
+  hideTitles,
+}) {
+  const weekEnd = addDays(weekStart, 6);
+  const inWeek = (p) =>
+    p.date ? p.date >= weekStart && p.date <= weekEnd : (p.week || week) === week;
+  const weekPlacements = placements.filter(inWeek);
+  const shared = tasks.filter(
+    (t) =>
+      weekPlacements.some((p) => p.taskId === t.id) ||
+      (t.dueDate >= weekStart && t.dueDate <= weekEnd)
+  );
+  const idOf = new Map(shared.map((t, i) => [t.id, `t${i}`]));
+  const courseIds = new Set(shared.map((t) => t.courseId).filter(Boolean));
+
+  return {
+    v: SHARE_VERSION,
+    weekStart,
+    week,
+    template: {
+      grid: (template.grid || []).filter(validTimes),
+      notes: template.notes || [],
+    },
+    overrides,
+    classification: {
+      ...classification,
+      rules: (classification.rules || []).filter((r) => !ruleError(r)),
+    },
+    hideTitles: !!hideTitles,
+    tasks: shared.map((t, i) => ({
+      id: idOf.get(t.id),
+      title: hideTitles ? `Task ${i + 1}` : t.title,
+      dueDate: t.dueDate,
+      estimatedMin: t.estimatedMin,
+      priority: t.priority,
+      status: t.status,
+      ...(t.courseId ? { courseId: t.courseId } : {}),
+    })),
+    placements: weekPlacements
+      .filter((p) => idOf.has(p.taskId))
+      .map((p, i) => ({
+        id: `p${i}`,
+        taskId: idOf.get(p.taskId),
+        ...(p.date ? { date: p.date } : {}),
+        week: p.week || week,
+        day: p.day,
+        start: p.start,
+        end: p.end,
+      })),
+    commitments: commitments
+      .filter((c) => c.date >= weekStart && c.date <= weekEnd)
+      .map((c, i) => ({
+        id: `c${i}`,
+        title: hideTitles ? "Busy" : c.title,
+        date: c.date,
+        day: c.day,
+        start: c.start,
+        end: c.end,
+      })),
+    courses: courses
+      .filter((c) => courseIds.has(c.id))
+      .map(({ id, name, color }) => ({ id, name, color })),
+  };
+}
+
+// ---------- Recurring tasks ----------
+// rule: { freq: "daily" | "weekdays" | "interval", days: [dayName],
+//         week: "any" | "week1" | "week2", every: n, until: ISO date }
+function recurrenceDates(rule, firstDate, week1StartSunday) {
+  const dates = [];
+  const step = rule.freq === "interval" ? Math.max(1, Number(rule.every) || 1) : 1;
+  for (
+    let d = firstDate;
+    d <= rule.until && dates.length < MAX_RECURRENCES;
+    d = addDays(d, step)
+  ) {
+    if (rule.freq === "weekdays") {
+      if (!rule.days.includes(DAYS[parseISODate(d).getDay()])) continue;
+      if (rule.week !== "any" && weekKeyForDate(week1StartSunday, d) !== rule.week) {
+        continue;
+      }
+    }
+    dates.push(d);
+  }
+  return dates;
+}
+
+function describeRecurrence(rule) {
+  const until = `until ${formatShortDate(rule.until)}`;
+  if (rule.freq === "daily") return `Daily ${until}`;
+  if (rule.freq === "interval") return `Every ${rule.every} days ${until}`;
+  const days = DAYS.filter((d) => rule.days.includes(d))
+    .map((d) => d.slice(0, 3))
+    .join(", ");
+  const week = rule.week === "any" ? "" : ` (${WEEK_LABELS[rule.week]} only)`;
+  return `${days}${week} ${until}`;
+}
+
+// One task per occurrence, due on its date. Each one is scheduled after the
+// previous occurrence's due date (`startDate`), so the series stays spread out.
+function expandSeries(base, rule, week1StartSunday) {
+  const seriesId = crypto.randomUUID();
+  return recurrenceDates(rule, base.dueDate, week1StartSunday).map(
+    (date, i, all) => ({
+      ...base,
+      id: crypto.randomUUID(),
+      status: "todo",
+      dueDate: date,
+      seriesId,
+      recurrence: rule,
+      ...(i > 0 ? { startDate: all[i - 1] } : {}),
+    })
+  );
+}
+
+// Fill dated slots (each tagged with its week) with a task's minutes, never
+// on or after its due date (nor before its `startDate`, if it has one).
+// High/medium priority takes the earliest blocks;
+// low priority takes the latest ones so early capacity stays open for more
+// important work. Returns the leftover capacity so callers can keep filling.
+function fillSlots(task, datedSlots, sessions = DEFAULT_SETTINGS) {
+  const left = datedSlots.map((s) => ({ ...s }));
+  const order = left
+    .map((s, i) => i)
+    .filter(
+      (i) =>
+        (!task.dueDate || left[i].date < task.dueDate) &&
+        (!task.startDate || left[i].date >= task.startDate)
+    );
+  if (task.priority === "low") order.reverse();
+
+  let remaining = Number(task.estimatedMin) || 0;
+  const placements = [];
+  const minSession = sessions.minSessionMin ?? DEFAULT_SETTINGS.minSessionMin;
+  const maxSession = sessions.maxSessionMin || Infinity;
+
+  for (const i of order) {
+    if (remaining <= 0) break;
+    const s = left[i];
+    let take = Math.min(remaining, s.minutes, maxSession);
+    // Leave a last piece of at least minSession when this one can spare it
+    const tail = remaining - take;
+    if (tail > 0 && tail < minSession && take - (minSession - tail) >= minSession) {
+      take -= minSession - tail;
+    }
+    if (take < Math.min(minSession, remaining)) continue;
+
+    placements.push({
+      id: crypto.randomUUID(),
+      taskId: task.id,
+      week: s.week,
+      date: s.date,
+      day: s.day,
+      start: toHHMM(s.startMin),
+      end: toHHMM(s.startMin + take),
+    });
+    remaining -= take;
+
+    const startMin = s.startMin + take;
+    left[i] = {
+      ...s,
+      startMin,
+      start: toHHMM(startMin),
+      minutes: s.minutes - take,
+    };
+  }
+
+  return {
+    placements,
+    remaining,
+    slots: left.filter((s) => s.minutes > 0),
+  };
+}
+
+// Plan every open task across the current and following calendar week
+// (one Week 1, one Week 2), or `weeks` weeks from this one: earliest due
+// date first, priority breaks ties.
+// Upcoming and repeating placements of open tasks are replaced; the rest
+// (done tasks, past days, blocks that already ended or have time logged)
+// and imported commitments keep their time booked.
+// Shortfalls are only reported for tasks due inside the planned weeks; later
+// ones may still fit after them.
+function planAllTasks({
+  tasks,
+  placements,
+  commitments = [],
+  templates,
+  freeOverrides,
+  week1StartSunday,
+  today,
+  nowMin,
+  settings = DEFAULT_SETTINGS,
+  weeks = 2,
+}) {
+  const open = tasks
+    .filter((t) => t.status !== "done")
+    .sort(
+      (a, b) =>
+        (a.dueDate || "9999-12-31").localeCompare(b.dueDate || "9999-12-31") ||
+        (PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1)
+    );
+  const openIds = new Set(open.map((t) => t.id));
+  const logged = new Set(
+    open.flatMap((t) => (t.log || []).map((e) => e.placementId).filter(Boolean))
+  );
+  const replaced = placements.filter(
+    (p) =>
+      openIds.has(p.taskId) &&
+      !logged.has(p.id) &&
+      (!p.date ||
+        p.date > today ||
+        (p.date === today && toMin(p.end) > nowMin))
+  );
+  const booked = [
+    ...placements.filter((p) => !replaced.includes(p)),
+    ...commitments,
+  ];
+
+  const thisSunday = sundayOf(today);
+  const lastDate = addDays(thisSunday, 7 * weeks - 1);
+  let slots = [];
+  for (let n = 0; n < weeks; n++) {
+    const weekStart = addDays(thisSunday, 7 * n);
+    const week = weekKeyForDate(week1StartSunday, weekStart);
+    const template =
+      templates.templates?.[week] || DEFAULT_TEMPLATES.templates.week1;
+    const dated = dateSlots(
+      buildSlots(
+        template,
+        freeOverrides[week] || {},
+        classificationOf(templates)
+      ),
+      weekStart,
+      "Sunday"
+    );
+    const free = subtractPlacements(dated, booked, week);
+    slots.push(...free.map((s) => ({ ...s, week })));
+  }
+  slots = slots.filter(
+    (s) => s.date > today || (s.date === today && s.startMin >= nowMin)
+  );
+
+  const planned = [];
+  const unfit = {};
+  for (const task of open) {
+    const res = fillSlots(task, slots, settings);
+    planned.push(...res.placements);
+    if (task.dueDate && task.dueDate <= lastDate) {
+      unfit[task.id] = res.remaining > 0 ? res.remaining : 0;
+    }
+    slots = res.slots;
+  }
+
+  return { placements: planned, unfit, replaced };
+}
+
+function samePlacementTime(a, b) {
+  return (
+    a.week === b.week &&
+    a.date === b.date &&
+    a.day === b.day &&
+    a.start === b.start &&
+    a.end === b.end
+  );
+}
+
+// Compare current vs proposed placements task by task. Identical times are
+// unchanged; leftover pairs count as moved; the rest are added or removed.
+function diffPlacements(current, proposed) {
+  const result = { added: [], moved: [], removed: [], unchanged: [] };
+  const taskIds = new Set([...current, ...proposed].map((p) => p.taskId));
+
+  for (const taskId of taskIds) {
+    const before = current.filter((p) => p.taskId === taskId);
+    const after = proposed.filter((p) => p.taskId === taskId);
+
+    const keptAfter = new Set();
+    const leftBefore = [];
+    for (const p of before) {
+      const match = after.find(
+        (q) => !keptAfter.has(q) && samePlacementTime(p, q)
+      );
+      if (match) {
+        keptAfter.add(match);
+        result.unchanged.push(p);
+      } else {
+        leftBefore.push(p);
+      }
+    }
+    const leftAfter = after.filter((q) => !keptAfter.has(q));
+
+    const pairs = Math.min(leftBefore.length, leftAfter.length);
+    for (let i = 0; i < pairs; i++) {
+      result.moved.push({
+        from: leftBefore[i],
+        to: { ...leftAfter[i], id: leftBefore[i].id },
+      });
+    }
+    result.removed.push(...leftBefore.slice(pairs));
+    result.added.push(...leftAfter.slice(pairs));
+  }
+
+  return result;
+}
+
+// ---------- Chunk templates ----------
+const CHUNK_TYPE_LABELS = {
+  essay: "Essay / Writing",
+  exam: "Studying for Exam",
+  lab: "Lab / Research / Presentation",
+};
+
+const CHUNK_TEMPLATES = {
+  essay: [
+    { title: "Choose topic + gather sources", pct: 0.2 },
+    { title: "Outline", pct: 0.12 },
+    { title: "Draft part 1", pct: 0.28 },
+    { title: "Draft part 2", pct: 0.28 },
+    { title: "Edit + citations", pct: 0.1 },
+    { title: "Final proof", pct: 0.02 },
+  ],
+  exam: [
+    { title: "Review notes (unit 1)", pct: 0.25 },
+    { title: "Practice problems", pct: 0.35 },
+    { title: "Timed past paper", pct: 0.2 },
+    { title: "Error review", pct: 0.15 },
+    { title: "Final recap", pct: 0.05 },
+  ],
+  lab: [
+    { title: "Background reading", pct: 0.2 },
+    { title: "Plan/Design", pct: 0.15 },
+    { title: "Data collection", pct: 0.25 },
+    { title: "Analysis", pct: 0.2 },
+    { title: "Write-up", pct: 0.18 },
+    { title: "Polish + submit", pct: 0.02 },
+  ],
+};
+
+// ======================================================
+// App: the active profile's Scheduler. Switching profiles remounts it, so
+// each profile loads and saves only its own data.
+// ======================================================
+export default function App() {
+  // A share link shows the shared plan instead and never touches storage
+  const [shareCode] = useState(() =>
+    typeof window === "undefined" ? null : shareCodeFrom(window.location.hash)
+  );
+  const [profiles, setProfiles] = useState(() =>
+    shareCode ? DEFAULT_PROFILES : loadProfiles()
+  );
+
+  // Pasting a share link into an open tab only changes the hash
+  useEffect(() => {
+    function onHashChange() {
+      if (shareCodeFrom(window.location.hash) !== shareCode) {
+        window.location.reload();
+      }
+    }
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [shareCode]);
+
+  useEffect(() => {
+    if (shareCode) return;
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    } catch {
+      // Storage full: the profile list is rebuilt from defaults next time
+    }
+  }, [profiles, shareCode]);
+
+  if (shareCode) return <SharedPlan code={shareCode} />;
+
+  const profile =
+    profiles.profiles.find((p) => p.id === profiles.activeId) ||
+    profiles.profiles[0];
+  return (
+    <Scheduler
+      key={profile.id}
+      storageKey={profileKey(profile.id)}
+      profile={profile}
+      profiles={profiles}
+      onProfilesChange={setProfiles}
+    />
+  );
+}
+
+function Scheduler({ storageKey, profile, profiles, onProfilesChange }) {
+  const [templates, setTemplates] = useState(DEFAULT_TEMPLATES);
+  const [viewWeekStart, setViewWeekStart] = useState(() =>
+    sundayOf(todayISO())
+  );
+  const [courses, setCourses] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [placements, setPlacements] = useState([]);
+  const [commitments, setCommitments] = useState([]);
+  const [freeOverrides, setFreeOverrides] = useState({ week1: {}, week2: {} });
+  const [view, setView] = useState("schedule");
+  const [editorDirty, setEditorDirty] = useState(false);
+  const [week1StartSunday, setWeek1StartSunday] = useState("2026-01-04");
+  const [autoPick, setAutoPick] = useState(null);
+  const [planPreview, setPlanPreview] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [backupImport, setBackupImport] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [focus, setFocus] = useState(null);
+  // Task a clicked reminder asked to open in Tasks
+  const [openTaskId, setOpenTaskId] = useState(null);
+  // Missed blocks offered for catch-up ({ missed, plan }), then { summary }
+  const [catchUp, setCatchUp] = useState(null);
+  const [catchUpTick, setCatchUpTick] = useState(0);
+  const [catchUpClosedAt, setCatchUpClosedAt] = useState(null);
+  const [profilesOpen, setProfilesOpen] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
+  // "loading" until the saved data is read; nothing is written back while
+  // it is "error", so a failed load never overwrites the user's data
+  const [storage, setStorage] = useState({ status: "loading" });
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [saveFailed, setSaveFailed] = useState(false);
+  // Last recorded snapshot, and the one undo/redo is restoring (not a new change)
+  const lastSnapshot = useRef(null);
+  const restoring = useRef(null);
+
+  // Load LS
+  useEffect(() => {
+    const raw = localStorage.getItem(storageKey);
+    if (!raw) {
+      setStorage({ status: "ready" });
+      return;
+    }
+
+    let data;
+    let from;
+    try {
+      ({ data, from } = migrateData(JSON.parse(raw)));
+    } catch (err) {
+      const message =
+        err instanceof SyntaxError
+          ? "The saved data is corrupt (not valid JSON)."
+          : err.message;
+      setStorage({ status: "error", message, raw });
+      return;
+    }
+
+    let savedHistory = null;
+    if (from < SCHEMA_VERSION) {
+      try {
+        localStorage.setItem(`${storageKey}_backup_v${from}`, raw);
+      } catch {
+        // Storage full: the data still loads, only without the old copy
+      }
+    } else {
+      savedHistory = loadHistory(storageKey);
+    }
+
+    if (data.templates) setTemplates(data.templates);
+    if (data.courses) setCourses(data.courses);
+    if (data.tasks) setTasks(data.tasks);
+    if (data.placements) setPlacements(data.placements);
+    if (data.commitments) setCommitments(data.commitments);
+    if (data.freeOverrides) setFreeOverrides(data.freeOverrides);
+    if (data.week1StartSunday) setWeek1StartSunday(data.week1StartSunday);
+    if (data.settings) setSettings({ ...DEFAULT_SETTINGS, ...data.settings });
+    if (savedHistory) setHistory(savedHistory);
+    setStorage({ status: "ready" });
+  }, [storageKey]);
+
+  const savedData = useMemo(
+    () => ({
+      version: SCHEMA_VERSION,
+      templates,
+      courses,
+      tasks,
+      placements,
+      commitments,
+      freeOverrides,
+      week1StartSunday,
+      settings,
+    }),
+    [
+      templates,
+      courses,
+      tasks,
+      placements,
+      commitments,
+      freeOverrides,
+      week1StartSunday,
+      settings,
+    ]
+  );
+
+  // Persist LS; the data comes first, so when storage is full the saved
+  // undo history is dropped to make room
+  useEffect(() => {
+    if (storage.status !== "ready") return;
+    const json = JSON.stringify(savedData);
+    try {
+      localStorage.setItem(storageKey, json);
+      setSaveFailed(false);
+    } catch {
+      try {
+        localStorage.removeItem(`${storageKey}_history`);
+        localStorage.setItem(storageKey, json);
+        setSaveFailed(false);
+      } catch {
+        setSaveFailed(true);
+      }
+    }
+  }, [storageKey, storage.status, savedData]);
+
+  const snapshot = useMemo(
+    () => ({
+      templates,
+      courses,
+      tasks,
+      placements,
+      commitments,
+      freeOverrides,
+      week1StartSunday,
+    }),
+    [
+      templates,
+      courses,
+      tasks,
+      placements,
+      commitments,
+      freeOverrides,
+      week1StartSunday,
+    ]
+  );
+
+  // Record history: every committed change pushes the previous snapshot, so
+  // one user action (even one that sets several states) is one undo step
+  useEffect(() => {
+    if (storage.status !== "ready") return;
+    const prev = lastSnapshot.current;
+    lastSnapshot.current = snapshot;
+    if (!prev || sameSnapshot(prev, snapshot)) return;
+    if (restoring.current && sameSnapshot(restoring.current, snapshot)) {
+      restoring.current = null;
+      return;
+    }
+    setHistory((h) => recordHistory(h, prev));
+  }, [storage.status, snapshot]);
+
+  // Persist history; when storage is full, keep the most recent steps
+  useEffect(() => {
+    if (storage.status !== "ready") return;
+    let past = history.past.slice(-HISTORY_SAVED_LIMIT);
+    let future = history.future.slice(0, HISTORY_SAVED_LIMIT);
+    for (let i = 0; i < HISTORY_SAVE_TRIES; i++) {
+      try {
+        localStorage.setItem(
+          `${storageKey}_history`,
+          JSON.stringify({
+            version: SCHEMA_VERSION,
+            past: packHistory(past),
+            future: packHistory(future),
+          })
+        );
+        return;
+      } catch {
+        past = past.slice(Math.ceil(past.length / 2));
+        future = future.slice(0, Math.floor(future.length / 2));
+      }
+    }
+    try {
+      localStorage.removeItem(`${storageKey}_history`);
+    } catch {
+      // Nothing left to free
+    }
+  }, [storageKey, storage.status, history]);
+
+  function restoreSnapshot(s) {
+    restoring.current = s;
+    setTemplates(s.templates);
+    setCourses(s.courses);
+    setTasks(s.tasks);
+    setPlacements(s.placements);
+    setCommitments(s.commitments);
+    setFreeOverrides(s.freeOverrides);
+    setWeek1StartSunday(s.week1StartSunday);
+  }
+
+  function undo() {
+    const step = undoHistory(history, snapshot);
+    if (!step) return;
+    setHistory(step.history);
+    restoreSnapshot(step.snapshot);
+  }
+
+  function redo() {
+    const step = redoHistory(history, snapshot);
+    if (!step) return;
+    setHistory(step.history);
+    restoreSnapshot(step.snapshot);
+  }
+
+  // Ctrl/Cmd+Z undoes, Shift+Ctrl/Cmd+Z or Ctrl+Y redoes. Text fields keep
+  // their own undo.
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const el = e.target;
+      if (
+        el?.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName)
+      ) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  function startFresh() {
+    const ok = window.confirm(
+      "Start with empty data? A copy of the unreadable save is kept in this browser."
+    );
+    if (!ok) return;
+    localStorage.setItem(`${storageKey}_unreadable`, storage.raw);
+    setStorage({ status: "ready" });
+  }
+
+  // Current week based on week1StartSunday
+  const currentWeekKey = useMemo(
+    () => weekKeyForDate(week1StartSunday, todayISO()),
+    [week1StartSunday]
+  );
+
+  // The viewed calendar week picks its Week 1 / Week 2 template
+  const activeWeek = weekKeyForDate(week1StartSunday, viewWeekStart);
+  const template =
+    templates.templates?.[activeWeek] || DEFAULT_TEMPLATES.templates.week1;
+  const activeWeekOverrides = freeOverrides[activeWeek] || {};
+
+  // Reminders: check every 30s which are due; shown keys are kept for two
+  // days in `${storageKey}_notified` so a reload never repeats them
+  useEffect(() => {
+    const reminders = settings.reminders;
+    if (storage.status !== "ready" || !reminders?.enabled) return;
+    if (typeof Notification === "undefined" || Notification.permission !== "granted") {
+      return;
+    }
+
+    function check() {
+      const now = Date.now();
+      let sent = {};
+      try {
+        sent = JSON.parse(localStorage.getItem(`${storageKey}_notified`)) || {};
+      } catch {
+        sent = {};
+      }
+      const list = buildReminders({
+        tasks,
+        placements,
+        week1StartSunday,
+        fallbackWeek: activeWeek,
+        reminders,
+        now,
+      });
+      const show = dueReminders(list, sent, now);
+      for (const r of show) {
+        const n = new Notification(r.title, { body: r.body, tag: r.key });
+        n.onclick = () => {
+          window.focus();
+          setView("tasks");
+          setOpenTaskId(r.taskId);
+          n.close();
+        };
+        sent[r.key] = now;
+      }
+      const kept = Object.fromEntries(
+        Object.entries(sent).filter(([, at]) => now - at < 2 * DAY_MS)
+      );
+      try {
+        localStorage.setItem(`${storageKey}_notified`, JSON.stringify(kept));
+      } catch {
+        // Storage full: a reminder may repeat after a reload, nothing worse
+      }
+    }
+
+    check();
+    const id = setInterval(check, 30 * 1000);
+    return () => clearInterval(id);
+  }, [
+    storageKey,
+    storage.status,
+    settings.reminders,
+    tasks,
+    placements,
+    week1StartSunday,
+    activeWeek,
+  ]);
+
+  const overdueCount = tasks.filter((t) => isOverdue(t, todayISO())).length;
+
+  // Capacity forecast, rerun whenever tasks, the schedule or free blocks change
+  const forecast = useMemo(() => {
+    const now = new Date();
+    return capacityForecast({
+      tasks,
+      placements,
+      commitments,
+      templates,
+      freeOverrides,
+      week1StartSunday,
+      fallbackWeek: activeWeek,
+      today: todayISO(),
+      nowMin: now.getHours() * 60 + now.getMinutes(),
+    });
+  }, [tasks, placements, commitments, templates, freeOverrides, week1StartSunday, activeWeek]);
+
+  // ----- Catch-up -----
+  function applyCatchUp(plan, ids) {
+    setPlacements((prev) => applyCatchUpPlan(prev, plan, ids));
+    setCatchUp({ summary: catchUpSummary(plan, ids) });
+  }
+
+  useEffect(() => {
+    const id = setInterval(() => setCatchUpTick((n) => n + 1), CATCH_UP_CHECK_MS);
+    return () => clearInterval(id);
+  }, []);
+
+  // Look for missed blocks after loading, every few minutes and after
+  // edits; once the dialog is closed it waits for the next tick to ask again
+  useEffect(() => {
+    if (storage.status !== "ready" || catchUp) return;
+    if (settings.catchUp === "off" || catchUpClosedAt === catchUpTick) return;
+    const now = new Date();
+    const today = todayISO();
+    const nowMin = now.getHours() * 60 + now.getMinutes();
+    const missed = missedPlacements(placements, tasks, today, nowMin);
+    if (!missed.length) return;
+    const plan = planCatchUp({
+      missed,
+      tasks,
+      placements,
+      commitments,
+      templates,
+      freeOverrides,
+      week1StartSunday,
+      fallbackWeek: activeWeek,
+      today,
+      nowMin,
+      settings,
+    });
+    if (settings.catchUp === "auto") {
+      const ids = new Set(missed.map((p) => p.id));
+      setPlacements((prev) => applyCatchUpPlan(prev, plan, ids));
+      setCatchUp({ summary: catchUpSummary(plan, ids) });
+    } else {
+      setCatchUp({ plan });
+    }
+  }, [
+    storage.status,
+    catchUp,
+    catchUpTick,
+    catchUpClosedAt,
+    settings,
+    placements,
+    tasks,
+    commitments,
+    templates,
+    freeOverrides,
+    week1StartSunday,
+    activeWeek,
+  ]);
+
+  function forceFree(week, key) {
+    setFreeOverrides((prev) => ({
+      ...prev,
+      [week]: { ...(prev[week] || {}), [key]: true },
+    }));
+  }
+
+  function confirmLeaveEditor() {
+    return (
+      view !== "timetable" ||
+      !editorDirty ||
+      window.confirm("Discard your unsaved timetable changes?")
+    );
+  }
+
+  function changeView(next) {
+    if (next !== view && !confirmLeaveEditor()) return;
+    setView(next);
+  }
+
+  // Overrides and upcoming placements follow rows whose times changed; the
+  // ones that can't are listed before anything is saved
+  function saveTimetable(next) {
+    const change = remapTimetableChange({
+      before: templates,
+      after: next,
+      freeOverrides,
+      placements,
+      fallbackWeek: activeWeek,
+      today: todayISO(),
+    });
+    const lost = [
+      ...change.dropped.placements.map(
+        (p) =>
+          `• ${tasks.find((t) => t.id === p.taskId)?.title || "Untitled"}: ${
+            p.date ? formatShortDate(p.date) : WEEK_LABELS[p.week || activeWeek]
+          } ${p.day} ${p.start}–${p.end}`
+      ),
+      ...change.dropped.overrides.map(
+        (o) => `• Forced free: ${WEEK_LABELS[o.week]} ${o.day} ${o.start}–${o.end}`
+      ),
+    ];
+    if (
+      lost.length > 0 &&
+      !window.confirm(
+        `These no longer sit in a timetable row and will be removed:\n${lost.join("\n")}\n\nSave the timetable anyway?`
+      )
+    ) {
+      return false;
+    }
+    setTemplates(next);
+    setFreeOverrides(change.freeOverrides);
+    setPlacements(change.placements);
+    return true;
+  }
+
+  // Jump to this calendar week if it is `weekKey`, otherwise the next one
+  function showWeek(weekKey) {
+    const thisSunday = sundayOf(todayISO());
+    setViewWeekStart(
+      weekKeyForDate(week1StartSunday, thisSunday) === weekKey
+        ? thisSunday
+        : addDays(thisSunday, 7)
+    );
+  }
+
+  // ----- Task ops -----
+  function addTask(t) {
+    const id = crypto.randomUUID();
+    setTasks((prev) => [{ ...t, id, status: "todo" }, ...prev]);
+    return id;
+  }
+  function addCourse(name) {
+    const colors = Object.keys(COURSE_COLORS);
+    setCourses((prev) => [
+      ...prev,
+      {
+        id: crypto.randomUUID(),
+        name,
+        color: colors[prev.length % colors.length],
+        labels: [],
+      },
+    ]);
+  }
+  function updateCourse(id, patch) {
+    setCourses((prev) => prev.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  }
+  function removeCourse(id) {
+    const used = tasks.filter((t) => t.courseId === id).length;
+    if (
+      used > 0 &&
+      !window.confirm(`Delete this course? ${used} task(s) will have no course.`)
+    ) {
+      return;
+    }
+    setCourses((prev) => prev.filter((c) => c.id !== id));
+    setTasks((prev) =>
+      prev.map((t) => {
+        if (t.courseId !== id) return t;
+        const rest = { ...t };
+        delete rest.courseId;
+        return rest;
+      })
+    );
+  }
+
+  function addSeries(t, rule) {
+    const occurrences = expandSeries(t, rule, week1StartSunday);
+    setTasks((prev) => [...occurrences, ...prev]);
+    return occurrences.length;
+  }
+  function updateTask(id, patch) {
+    setTasks((prev) => prev.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  }
+  function removeTask(id) {
+    setTasks((prev) => prev.filter((t) => t.id !== id));
+    setPlacements((prev) => prev.filter((p) => p.taskId !== id));
+  }
+  function removePlacement(placementId) {
+    setPlacements((prev) => prev.filter((p) => p.id !== placementId));
+  }
+
+  function toggleDone(taskId) {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) return;
+    const nextStatus = task.status === "done" ? "todo" : "done";
+
+    if (nextStatus === "done") {
+      const placed = placements.some((p) => p.taskId === taskId);
+      if (placed) {
+        const removeAlso = window.confirm(
+          `Marking "${task.title}" done. Remove it from schedule too?`
+        );
+        if (removeAlso) {
+          setPlacements((prev) => prev.filter((p) => p.taskId !== taskId));
+        }
+      }
+    }
+
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.id !== taskId
+          ? t
+          : {
+              ...t,
+              status: nextStatus,
+              completedAt:
+                nextStatus === "done" ? new Date().toISOString() : undefined,
+            }
+      )
+    );
+  }
+
+  function logTime(taskId, minutes, placementId) {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task || !(minutes > 0)) return;
+    const next = addLogEntry(task, minutes, placementId);
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? next : t)));
+
+    const left = (Number(task.estimatedMin) || 0) - actualMinutes(next);
+    if (next.status !== "done" && left > 0) {
+      const ok = window.confirm(
+        `${actualMinutes(next)} of ${task.estimatedMin} min logged for "${task.title}". Reschedule the remaining ${left} min?`
+      );
+      if (ok) requestRescheduleRemainder({ ...next, estimatedMin: left });
+    }
+  }
+
+  function requestFocus(taskId, placementId) {
+    if (
+      focus &&
+      !window.confirm("A focus session is running. Stop it and start a new one?")
+    ) {
+      return;
+    }
+    setFocus({ taskId, ...(placementId ? { placementId } : {}), mode: null });
+  }
+
+  // outcome: "done" | "more" (needs more time) | "discard"
+  function endFocus(outcome) {
+    const f = focus;
+    setFocus(null);
+    const task = tasks.find((t) => t.id === f?.taskId);
+    if (!task || outcome === "discard") return;
+
+    const minutes = Math.round(focusWorkedMs(f, Date.now()) / MINUTE_MS);
+    const earlier = (task.log || [])
+      .filter((e) => f.placementId && e.placementId === f.placementId)
+      .reduce((sum, e) => sum + e.minutes, 0);
+    let next =
+      minutes > 0 ? addLogEntry(task, earlier + minutes, f.placementId) : task;
+
+    if (outcome === "done") {
+      next = { ...next, status: "done", completedAt: new Date().toISOString() };
+      const finished = finishTaskPlacements(
+        placements,
+        task.id,
+        f.placementId,
+        todayISO()
+      );
+      if (
+        finished.removed.length > 0 &&
+        window.confirm(`Remove the ${finished.removed.length} upcoming or repeating block(s) of "${task.title}" from the schedule?`)
+      ) {
+        setPlacements(finished.placements);
+      }
+    } else {
+      const left = (Number(task.estimatedMin) || 0) - actualMinutes(next);
+      const answer = window.prompt(
+        `How many more minutes does "${task.title}" need?`,
+        String(left > 0 ? left : 30)
+      );
+      const more = Math.round(Number(answer));
+      // The estimate stays as entered, so estimate history still compares
+      // the original guess with the time actually spent
+      if (answer !== null && more > 0) {
+        requestRescheduleRemainder({ ...next, estimatedMin: more });
+      }
+    }
+    setTasks((prev) => prev.map((t) => (t.id === task.id ? next : t)));
+  }
+
+  function promptLogTime(taskId, placementId) {
+    const task = tasks.find((t) => t.id === taskId);
+    const p = placementId && placements.find((x) => x.id === placementId);
+    if (!task) return;
+    const suggested = p
+      ? toMin(p.end) - toMin(p.start)
+      : Math.max(0, (Number(task.estimatedMin) || 0) - actualMinutes(task));
+    const answer = window.prompt(
+      p
+        ? `Minutes actually spent on "${task.title}" in ${p.day} ${p.start}–${p.end}?`
+        : `Minutes spent on "${task.title}"?`,
+      String(suggested || "")
+    );
+    if (answer === null) return;
+    const minutes = Math.round(Number(answer));
+    if (!(minutes > 0)) {
+      alert("Enter a number of minutes.");
+      return;
+    }
+    logTime(taskId, minutes, placementId);
+  }
+
+  // Preview replacing the task's upcoming placements with `task.estimatedMin`
+  // (what is left) before its due date
+  function requestRescheduleRemainder(task) {
+    const today = todayISO();
+    const now = new Date();
+    const plan = planAllTasks({
+      tasks: [task],
+      placements: placements.map((p) => ({ ...p, week: p.week || activeWeek })),
+      commitments,
+      templates,
+      freeOverrides,
+      week1StartSunday,
+      today,
+      nowMin: now.getHours() * 60 + now.getMinutes(),
+      settings,
+      weeks:
+        task.dueDate > today
+          ? Math.ceil((daysBetween(sundayOf(today), task.dueDate) + 1) / 7)
+          : 2,
+    });
+    setPlanPreview({
+      ...plan,
+      title: `Reschedule the rest of "${task.title}"`,
+      diff: diffPlacements(plan.replaced, plan.placements),
+    });
+  }
+
+  // Matches the task's placements that an auto-schedule run for
+  // targetWeek/startDay overwrites: those on the dates it covers, plus
+  // repeating ones in the same template week.
+  function autoScheduleOverlap(taskId, targetWeek, startDay) {
+    const weekStart = nextWeekStart(
+      week1StartSunday,
+      targetWeek,
+      startDay,
+      todayISO()
+    );
+    const dates = Object.values(windowDates(weekStart, startDay));
+    return (p) =>
+      p.taskId === taskId &&
+      (p.date ? dates.includes(p.date) : (p.week || activeWeek) === targetWeek);
+  }
+
+  function autoScheduleTaskInternal(taskId, targetWeek, startDay) {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task || task.status === "done") return;
+
+    const targetTemplate =
+      templates.templates?.[targetWeek] || DEFAULT_TEMPLATES.templates.week1;
+    const targetWeekOverrides = freeOverrides[targetWeek] || {};
+    const overwritten = autoScheduleOverlap(taskId, targetWeek, startDay);
+    const booked = [...placements.filter((p) => !overwritten(p)), ...commitments];
+    const today = todayISO();
+    const now = new Date();
+    const nowMin = now.getHours() * 60 + now.getMinutes();
+
+    const weekStart = nextWeekStart(
+      week1StartSunday,
+      targetWeek,
+      startDay,
+      today
+    );
+    const slots = subtractPlacements(
+      dateSlots(
+        buildSlots(
+          targetTemplate,
+          targetWeekOverrides,
+          classificationOf(templates)
+        ),
+        weekStart,
+        startDay
+      ),
+      booked,
+      targetWeek,
+      activeWeek
+    )
+      .filter((s) => s.date > today || s.startMin >= nowMin)
+      .map((s) => ({ ...s, week: targetWeek }));
+
+    const { placements: newPlacements, remaining } = fillSlots(
+      task,
+      slots,
+      settings
+    );
+
+    updateTask(taskId, { unfitMin: remaining > 0 ? remaining : 0 });
+    if (remaining > 0) {
+      alert(
+        `"${task.title}" cannot fit before its due date (${task.dueDate}). ${remaining} min left unscheduled.`
+      );
+    }
+
+    setPlacements((prev) => [
+      ...newPlacements,
+      ...prev.filter((p) => !overwritten(p)),
+    ]);
+    setView("schedule");
+  }
+
+  function requestAutoScheduleTask(taskId) {
+    setAutoPick({ taskId, week: activeWeek, day: "Sunday" });
+  }
+
+  function requestPlanAll() {
+    const now = new Date();
+    const normalized = placements.map((p) => ({
+      ...p,
+      week: p.week || activeWeek,
+    }));
+    const plan = planAllTasks({
+      tasks,
+      placements: normalized,
+      commitments,
+      templates,
+      freeOverrides,
+      week1StartSunday,
+      today: todayISO(),
+      nowMin: now.getHours() * 60 + now.getMinutes(),
+      settings,
+    });
+    setPlanPreview({
+      ...plan,
+      diff: diffPlacements(plan.replaced, plan.placements),
+    });
+  }
+
+  function requestPlanSeries(seriesId) {
+    const series = tasks.filter((t) => t.seriesId === seriesId);
+    const lastDue = series.reduce((max, t) => (t.dueDate > max ? t.dueDate : max), "");
+    const today = todayISO();
+    if (!series.length || lastDue <= today) {
+      alert("Every occurrence of this series is already due.");
+      return;
+    }
+    const now = new Date();
+    const plan = planAllTasks({
+      tasks: series,
+      placements: placements.map((p) => ({ ...p, week: p.week || activeWeek })),
+      commitments,
+      templates,
+      freeOverrides,
+      week1StartSunday,
+      today,
+      nowMin: now.getHours() * 60 + now.getMinutes(),
+      settings,
+      weeks: Math.ceil((daysBetween(sundayOf(today), lastDue) + 1) / 7),
+    });
+    setPlanPreview({
+      ...plan,
+      title: `Schedule series: ${series[0].title}`,
+      diff: diffPlacements(plan.replaced, plan.placements),
+    });
+  }
+
+  function applyPlan() {
+    const { diff, unfit, replaced } = planPreview;
+    const replacedIds = new Set(replaced.map((p) => p.id));
+    setPlacements((prev) => [
+      ...diff.added,
+      ...diff.moved.map((m) => m.to),
+      ...diff.unchanged,
+      ...prev.filter((p) => !replacedIds.has(p.id)),
+    ]);
+    setTasks((prev) =>
+      prev.map((t) => (t.id in unfit ? { ...t, unfitMin: unfit[t.id] } : t))
+    );
+    setPlanPreview(null);
+    setView("schedule");
+  }
+
+  function handleTemplateUpload(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let data;
+      try {
+        data = JSON.parse(reader.result);
+      } catch {
+        alert("Could not read this JSON.");
+        return;
+      }
+      const report = validateTemplateImport(data, classificationOf(templates));
+      if (report.errors.length === 0 && report.warnings.length === 0) {
+        setTemplates(report.templates);
+      } else {
+        setImportReport({ ...report, fileName: file.name });
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  }
+
+  // ----- Profiles -----
+  // Save `data` (if any) as a new profile and switch to it
+  function addProfile(name, data) {
+    const id = crypto.randomUUID();
+    if (data) {
+      try {
+        localStorage.setItem(profileKey(id), JSON.stringify(data));
+      } catch {
+        alert("Browser storage is full; the profile could not be saved.");
+        return;
+      }
+    }
+    onProfilesChange((prev) => ({
+      activeId: id,
+      profiles: [...prev.profiles, { id, name }],
+    }));
+  }
+
+  function switchProfile(id) {
+    if (!confirmLeaveEditor()) return;
+    onProfilesChange((prev) => ({ ...prev, activeId: id }));
+  }
+
+  function newProfile() {
+    const name = window.prompt("Name of the new profile (e.g. the student's name):");
+    if (!name?.trim()) return;
+    const shared = window.confirm(
+      `Start "${name.trim()}" from this profile's school timetable (Week 1 / Week 2 templates, block rules and Week 1 start)?\n\nCancel starts with an empty timetable.`
+    );
+    addProfile(
+      name.trim(),
+      shared ? { version: SCHEMA_VERSION, templates, week1StartSunday } : null
+    );
+  }
+
+  function duplicateProfile() {
+    const name = window.prompt("Name of the copy:", `${profile.name} (copy)`);
+    if (!name?.trim()) return;
+    addProfile(name.trim(), savedData);
+  }
+
+  function renameProfile(id) {
+    const target = profiles.profiles.find((p) => p.id === id);
+    const name = window.prompt("Rename profile:", target.name);
+    if (!name?.trim()) return;
+    onProfilesChange((prev) => ({
+      ...prev,
+      profiles: prev.profiles.map((p) =>
+        p.id === id ? { ...p, name: name.trim() } : p
+      ),
+    }));
+  }
+
+  function deleteProfile(id) {
+    const target = profiles.profiles.find((p) => p.id === id);
+    if (profiles.profiles.length < 2) {
+      alert("The only profile can't be deleted.");
+      return;
+    }
+    const ok = window.confirm(
+      `Delete the profile "${target.name}" with all its tasks and schedule? This can't be undone; export it first to keep a copy.`
+    );
+    if (!ok) return;
+    for (const k of profileStorageKeys(id, Object.keys(localStorage))) {
+      localStorage.removeItem(k);
+    }
+    onProfilesChange((prev) => {
+      const rest = prev.profiles.filter((p) => p.id !== id);
+      return {
+        activeId: prev.activeId === id ? rest[0].id : prev.activeId,
+        profiles: rest,
+      };
+    });
+  }
+
+  function exportProfile(id) {
+    const target = profiles.profiles.find((p) => p.id === id);
+    let data;
+    try {
+      data =
+        id === profile.id
+          ? savedData
+          : JSON.parse(localStorage.getItem(profileKey(id))) || {
+              version: SCHEMA_VERSION,
+            };
+    } catch {
+      alert(`The saved data of "${target.name}" can't be read.`);
+      return;
+    }
+    downloadFile(
+      `manara_profile_${fileSlug(target.name)}.json`,
+      JSON.stringify({ ...data, profile: target.name }, null, 2),
+      "application/json"
+    );
+  }
+
+  // A profile export (or any data export) becomes a new profile
+  function handleProfileImport(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let data;
+      try {
+        data = migrateData(JSON.parse(reader.result)).data;
+      } catch (err) {
+        alert(
+          err instanceof SyntaxError ? "Could not read this JSON." : err.message
+        );
+        return;
+      }
+      const problem = checkBackup(data);
+      if (problem) {
+        alert(problem);
+        return;
+      }
+      const { profile: savedName, ...rest } = data;
+      if (data.templates) {
+        const report = validateTemplateImport(
+          data.templates,
+          classificationOf(data.templates)
+        );
+        if (
+          report.errors.length > 0 &&
+          !window.confirm(
+            `The templates in this file have ${report.errors.length} error(s), for example: ${report.errors[0].message} Import the profile with those rows left out?`
+          )
+        ) {
+          return;
+        }
+        rest.templates = report.templates || DEFAULT_TEMPLATES;
+      }
+      const name = window.prompt(
+        "Name of the imported profile:",
+        savedName || file.name.replace(/\.json$/i, "")
+      );
+      if (!name?.trim()) return;
+      addProfile(name.trim(), { ...rest, version: SCHEMA_VERSION });
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  }
+
+  function handleBackupUpload(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let data;
+      try {
+        data = migrateData(JSON.parse(reader.result)).data;
+      } catch (err) {
+        alert(
+          err instanceof SyntaxError ? "Could not read this JSON." : err.message
+        );
+        return;
+      }
+      const problem = checkBackup(data);
+      if (problem) {
+        alert(problem);
+        return;
+      }
+      setBackupImport({
+        data,
+        fileName: file.name,
+        mode: "merge",
+        onConflict: "mine",
+      });
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  }
+
+  function applyBackup(next) {
+    setTemplates(next.templates);
+    setCourses(next.courses);
+    setTasks(next.tasks);
+    setPlacements(next.placements);
+    setCommitments(next.commitments);
+    setFreeOverrides(next.freeOverrides);
+    setWeek1StartSunday(next.week1StartSunday);
+    if (next.settings) setSettings(next.settings);
+    setBackupImport(null);
+  }
+
+  function downloadFile(fileName, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function exportData() {
+    downloadFile(
+      "manara_scheduler_export.json",
+      JSON.stringify(savedData, null, 2),
+      "application/json"
+    );
+  }
+
+  function handleCalendarImport(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const events = parseICS(String(reader.result));
+      if (events.length === 0) {
+        alert("No events found in this calendar file.");
+        return;
+      }
+      const incoming = eventsToCommitments(events);
+      const uids = new Set(incoming.map((c) => c.uid));
+      // Re-importing a file replaces its events instead of duplicating them
+      setCommitments((prev) => [
+        ...prev.filter((c) => !uids.has(c.uid)),
+        ...incoming,
+      ]);
+      alert(`Imported ${events.length} event(s) as ${incoming.length} busy block(s).`);
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  }
+
+  function exportCalendar() {
+    downloadFile(
+      "manara_schedule.ics",
+      buildICS({ tasks, placements, week1StartSunday, now: new Date() }),
+      "text/calendar"
+    );
+  }
+
+  // Free gaps left in a dated block of the viewed week after placements and
+  // commitments, ignoring placement `exceptId`
+  function blockGaps(slot, exceptId) {
+    const block = {
+      ...slot,
+      startMin: toMin(slot.start),
+      endMin: toMin(slot.end),
+    };
+    const booked = placementsInBlock(
+      [...placements.filter((p) => p.id !== exceptId), ...commitments],
+      activeWeek,
+      block,
+      activeWeek
+    );
+    return freeGaps(block, booked);
+  }
+
+  function quickAddToSlot(slot, taskDraft) {
+    const wanted = Number(taskDraft.estimatedMin) || slot.minutes;
+    const gap = pickGap(blockGaps(slot), wanted);
+
+    if (!gap) {
+      const ok = window.confirm(
+        "This block is already fully booked. Add the task without scheduling it?"
+      );
+      if (ok) addTask(taskDraft);
+      return;
+    }
+
+    const taskId = addTask(taskDraft);
+    setPlacements((prev) => [
+      {
+        id: crypto.randomUUID(),
+        taskId,
+        week: activeWeek,
+        date: slot.date,
+        day: slot.day,
+        start: gap.start,
+        end: toHHMM(gap.startMin + Math.min(wanted, gap.minutes)),
+      },
+      ...prev,
+    ]);
+  }
+
+  // `target.startMin` is where the user dropped it; the length is kept and
+  // only shortened (after asking) when no gap in the block is long enough
+  function movePlacement(placementId, target) {
+    const moving = placements.find((p) => p.id === placementId);
+    if (!moving) return;
+    const length = toMin(moving.end) - toMin(moving.start);
+    const gaps = blockGaps(target, placementId);
+    let gap = fitInGaps(gaps, length, target.startMin ?? toMin(target.start));
+    if (!gap) {
+      gap = pickGap(gaps, length);
+      if (!gap) {
+        alert("This block is already fully booked.");
+        return;
+      }
+      const ok = window.confirm(
+        `Only ${gap.minutes} min free in this block. Shorten this ${length}-min session to fit?`
+      );
+      if (!ok) return;
+    }
+
+    setPlacements((prev) =>
+      prev.map((p) =>
+        p.id === placementId
+          ? {
+              ...p,
+              week: target.week ?? p.week ?? activeWeek,
+              // Repeating placements keep repeating; dated ones move date
+              ...(p.date ? { date: target.date } : {}),
+              day: target.day,
+              start: gap.start,
+              end: gap.end,
+            }
+          : p
+      )
+    );
+  }
+
+  function splitPlacementById(placementId) {
+    const p = placements.find((x) => x.id === placementId);
+    const halves = p && splitPlacement(p);
+    if (!halves) {
+      alert(`Sessions shorter than ${SNAP_MIN * 2} min can't be split.`);
+      return;
+    }
+    setPlacements((prev) => prev.flatMap((x) => (x.id === placementId ? halves : [x])));
+  }
+
+  function mergeWithNext(placementId) {
+    const p = placements.find((x) => x.id === placementId);
+    const next = p && nextAdjacent(p, placements);
+    if (!next) return;
+    setPlacements((prev) =>
+      prev
+        .filter((x) => x.id !== next.id)
+        .map((x) => (x.id === placementId ? { ...x, end: next.end } : x))
+    );
+  }
+
+  function resizePlacement(placementId, start, end) {
+    setPlacements((prev) =>
+      prev.map((p) => (p.id === placementId ? { ...p, start, end } : p))
+    );
+  }
+
+  return (
     <div className="min-h-screen bg-slate-50 text-slate-900">
       <Header
         activeWeek={activeWeek}
-        setActiveWeek={setActiveWeek}
+        setActiveWeek={showWeek}
         currentWeekKey={currentWeekKey}
         view={view}
-        setView={setView}
+        setView={changeView}
         week1StartSunday={week1StartSunday}
         setWeek1StartSunday={setWeek1StartSunday}
         onUpload={handleTemplateUpload}
+        onImportBackup={handleBackupUpload}
         onExport={exportData}
+        onExportCalendar={exportCalendar}
+        onOpenSettings={() => setSettingsOpen(true)}
+        overdueCount={overdueCount}
+        profiles={profiles.profiles}
+        activeProfileId={profile.id}
+        onSwitchProfile={switchProfile}
+        onManageProfiles={() => setProfilesOpen(true)}
+        onShare={() => setShareOpen(true)}
+        onUndo={undo}
+        onRedo={redo}
+        canUndo={storage.status === "ready" && history.past.length > 0}
+        canRedo={storage.status === "ready" && history.future.length > 0}
+      />
+
+      <main className="max-w-6xl mx-auto px-4 pb-16">
+        {storage.status === "error" && (
+          <div className="mt-5 rounded-2xl border border-rose-200 bg-rose-50 p-4 text-sm text-rose-800">
+            <div className="font-semibold">Your saved data could not be loaded</div>
+            <div className="mt-1">
+              {storage.message} Nothing has been changed or overwritten; changes
+              you make now are not saved until you choose what to do.
+            </div>
+            <div className="mt-3 flex flex-wrap gap-2">
+              <button
+                onClick={() =>
+                  downloadFile(
+                    "manara_scheduler_saved_data.json",
+                    storage.raw,
+                    "application/json"
+                  )
+                }
+                className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-rose-200 text-sm"
+              >
+                <Download className="h-4 w-4" /> Download saved data
+              </button>
+              <button
+                onClick={startFresh}
+                className="px-3 py-1.5 rounded-xl bg-rose-700 text-white text-sm"
+              >
+                Start fresh
+              </button>
+            </div>
+          </div>
+        )}
+
+        {saveFailed && (
+          <div className="mt-5 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+            <div className="font-semibold">Changes are not being saved</div>
+            <div className="mt-1">
+              This browser's storage is full. Download a backup so nothing is
+              lost, then free up space (for example by deleting a profile).
+            </div>
+            <button
+              onClick={exportData}
+              className="mt-3 inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-amber-200 text-sm"
+            >
+              <Download className="h-4 w-4" /> Download backup
+            </button>
+          </div>
+        )}
+
+        <AnimatePresence mode="wait">
+          {view === "schedule" && (
+            <motion.div
+              key="schedule"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+            >
+              <ScheduleView
+                template={template}
+                classification={classificationOf(templates)}
+                courses={courses}
+                activeWeek={activeWeek}
+                weekStart={viewWeekStart}
+                onShiftWeek={(n) =>
+                  setViewWeekStart((prev) => addDays(prev, 7 * n))
+                }
+                onThisWeek={() => setViewWeekStart(sundayOf(todayISO()))}
+                placements={placements}
+                tasks={tasks}
+                weekOverrides={activeWeekOverrides}
+                onToggleFreeBlock={(key) =>
+                  setFreeOverrides((prev) => {
+                    const next = {
+                      week1: { ...(prev.week1 || {}) },
+                      week2: { ...(prev.week2 || {}) },
+                    };
+                    const bag = { ...(next[activeWeek] || {}) };
+                    if (bag[key]) delete bag[key];
+                    else bag[key] = true;
+                    next[activeWeek] = bag;
+                    return next;
+                  })
+                }
+                onMovePlacement={movePlacement}
+                onResizePlacement={resizePlacement}
+                onSplitPlacement={splitPlacementById}
+                onLogPlacement={(p) => promptLogTime(p.taskId, p.id)}
+                onFocusPlacement={(p) => requestFocus(p.taskId, p.id)}
+                onMergePlacement={mergeWithNext}
+                onQuickAdd={quickAddToSlot}
+                onDeletePlacement={removePlacement}
+                onEditTemplate={() => setView("timetable")}
+                commitments={commitments}
+                onImportCalendar={handleCalendarImport}
+                onRemoveCommitment={(uid) =>
+                  setCommitments((prev) => prev.filter((c) => c.uid !== uid))
+                }
+              />
+            </motion.div>
+          )}
+
+          {view === "tasks" && (
+            <motion.div
+              key="tasks"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+            >
+              <TasksView
+                tasks={tasks}
+                placements={placements}
+                courses={courses}
+                onAddCourse={addCourse}
+                onUpdateCourse={updateCourse}
+                onRemoveCourse={removeCourse}
+                addTask={addTask}
+                addSeries={addSeries}
+                updateTask={updateTask}
+                removeTask={removeTask}
+                toggleDone={toggleDone}
+                onAutoScheduleTask={requestAutoScheduleTask}
+                onPlanAll={requestPlanAll}
+                onPlanSeries={requestPlanSeries}
+                onLogTime={(id) => promptLogTime(id)}
+                onFocusTask={(id) => requestFocus(id)}
+                openTaskId={openTaskId}
+                onOpenedTask={() => setOpenTaskId(null)}
+                forecast={forecast}
+                onForceFree={forceFree}
+              />
+            </motion.div>
+          )}
+
+          {view === "timetable" && (
+            <motion.div
+              key="timetable"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+            >
+              <TemplateEditorView
+                templates={templates}
+                freeOverrides={freeOverrides}
+                week1StartSunday={week1StartSunday}
+                initialWeek={activeWeek}
+                onSave={saveTimetable}
+                onDirtyChange={setEditorDirty}
+              />
+            </motion.div>
+          )}
+
+          {view === "dashboard" && (
+            <motion.div
+              key="dashboard"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+            >
+              <DashboardView
+                tasks={tasks}
+                placements={placements}
+                commitments={commitments}
+                templates={templates}
+                freeOverrides={freeOverrides}
+                week1StartSunday={week1StartSunday}
+                fallbackWeek={activeWeek}
+              />
+            </motion.div>
+          )}
+
+          {view === "chunker" && (
+            <motion.div
+              key="chunker"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+            >
+              <ChunkerView
+                tasks={tasks}
+                courses={courses}
+                onCreateTasks={(newTasks) =>
+                  setTasks((prev) => [...newTasks, ...prev])
+                }
+              />
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </main>
+
+      <FloatingActions setView={changeView} />
+
+      {focus && (
+        <FocusSession
+          focus={focus}
+          task={tasks.find((t) => t.id === focus.taskId)}
+          placement={placements.find((p) => p.id === focus.placementId)}
+          onChange={setFocus}
+          onEnd={endFocus}
+        />
+      )}
+
+      <AnimatePresence>
+        {importReport && (
+          <ImportReport
+            report={importReport}
+            onImport={() => {
+              setTemplates(importReport.templates);
+              setImportReport(null);
+            }}
+            onCancel={() => setImportReport(null)}
+          />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {backupImport && (
+          <BackupImportDialog
+            pending={backupImport}
+            current={{
+              templates,
+              courses,
+              tasks,
+              placements,
+              commitments,
+              freeOverrides,
+              week1StartSunday,
+              settings,
+            }}
+            onChange={(patch) =>
+              setBackupImport((prev) => ({ ...prev, ...patch }))
+            }
+            onApply={applyBackup}
+            onCancel={() => setBackupImport(null)}
+          />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {settingsOpen && (
+          <SettingsDialog
+            settings={settings}
+            onSave={(next) => {
+              setSettings(next);
+              setSettingsOpen(false);
+            }}
+            onCancel={() => setSettingsOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {shareOpen && (
+          <ShareDialog
+            weekLabel={`${WEEK_LABELS[activeWeek]} • ${formatShortDate(
+              viewWeekStart
+            )} – ${formatShortDate(addDays(viewWeekStart, 6))}`}
+            makePayload={(hideTitles) =>
+              buildSharePayload({
+                weekStart: viewWeekStart,
+                week: activeWeek,
+                template,
+                overrides: activeWeekOverrides,
+                classification: classificationOf(templates),
+                tasks,
+                placements,
+                commitments,
+                courses,
+                hideTitles,
+              })
+            }
+            onClose={() => setShareOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {profilesOpen && (
+          <ProfilesDialog
+            profiles={profiles.profiles}
+            activeId={profile.id}
+            onSwitch={switchProfile}
+            onNew={newProfile}
+            onDuplicate={duplicateProfile}
+            onRename={renameProfile}
+            onDelete={deleteProfile}
+            onExport={exportProfile}
+            onImport={handleProfileImport}
+            onClose={() => setProfilesOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {catchUp && (
+          <CatchUpDialog
+            catchUp={catchUp}
+            tasks={tasks}
+            onApply={(ids) => applyCatchUp(catchUp.plan, ids)}
+            onClose={() => {
+              setCatchUp(null);
+              setCatchUpClosedAt(catchUpTick);
+            }}
+          />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {planPreview && (
+          <PlanPreview
+            preview={planPreview}
+            tasks={tasks}
+            onApply={applyPlan}
+            onDiscard={() => setPlanPreview(null)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Auto-schedule picker modal */}
+      <AnimatePresence>
+        {autoPick && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+            onClick={() => setAutoPick(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.98, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.98, opacity: 0 }}
+              className="bg-white w-full max-w-md rounded-2xl p-4 border border-slate-200 shadow-xl"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="flex items-center justify-between">
+                <div className="font-semibold text-lg">Auto-schedule task</div>
+                <button
+                  onClick={() => setAutoPick(null)}
+                  className="p-1 rounded hover:bg-slate-100"
+                  title="Close"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+
+              <div className="mt-3 grid gap-3">
+                <div className="grid gap-1">
+                  <label className="text-xs font-medium text-slate-600">
+                    Week
+                  </label>
+                  <select
+                    value={autoPick.week}
+                    onChange={(e) =>
+                      setAutoPick((p) => ({ ...p, week: e.target.value }))
+                    }
+                    className="px-3 py-2 rounded-xl border border-slate-200"
+                  >
+                    <option value="week1">Week 1</option>
+                    <option value="week2">Week 2</option>
+                  </select>
+                </div>
+
+                <div className="grid gap-1">
+                  <label className="text-xs font-medium text-slate-600">
+                    Starting day
+                  </label>
+                  <select
+                    value={autoPick.day}
+                    onChange={(e) =>
+                      setAutoPick((p) => ({ ...p, day: e.target.value }))
+                    }
+                    className="px-3 py-2 rounded-xl border border-slate-200"
+                  >
+                    {DAYS.map((d) => (
+                      <option key={d} value={d}>
+                        {d}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="text-xs text-slate-500">
+                  Uses the next {WEEK_LABELS[autoPick.week]}{" "}
+                  from {autoPick.day}, only in free blocks before the task’s
+                  due date.
+                </div>
+
+                <div className="flex gap-2 pt-2">
+                  <button
+                    onClick={() => setAutoPick(null)}
+                    className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => {
+                      const overwritten = autoScheduleOverlap(
+                        autoPick.taskId,
+                        autoPick.week,
+                        autoPick.day
+                      );
+
+                      if (placements.some(overwritten)) {
+                        const task = tasks.find(
+                          (t) => t.id === autoPick.taskId
+                        );
+                        const ok = window.confirm(
+                          `"${task?.title ?? "This task"}" already has scheduled time in the next ${
+                            WEEK_LABELS[autoPick.week]
+                          }. Overwrite its placements?`
+                        );
+                        if (!ok) return;
+                      }
+
+                      autoScheduleTaskInternal(
+                        autoPick.taskId,
+                        autoPick.week,
+                        autoPick.day
+                      );
+                      setAutoPick(null);
+                    }}
+                    className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
+                  >
+                    Schedule
+                  </button>
+                </div>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+/* --------------------------------------------------
+   Header
+-------------------------------------------------- */
+function Header({
+  activeWeek,
+  setActiveWeek,
+  currentWeekKey,
+  view,
+  setView,
+  week1StartSunday,
+  setWeek1StartSunday,
+  onUpload,
+  onImportBackup,
+  onExport,
+  onExportCalendar,
+  onOpenSettings,
+  overdueCount = 0,
+  profiles,
+  activeProfileId,
+  onSwitchProfile,
+  onManageProfiles,
+  onShare,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
+}) {
+  return (
+    <div className="sticky top-0 z-40 bg-white/90 backdrop-blur border-b border-slate-200">
+      <div className="max-w-6xl mx-auto px-4 py-3 flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-3">
+          <div className="h-9 w-9 rounded-2xl bg-slate-900 text-white flex items-center justify-center font-bold">
+            M
+          </div>
+          <div>
+            <div className="font-semibold">Manara Weekly Scheduler</div>
+            <div className="text-xs text-slate-600">
+              Sunday-first • Alternating Week 1 / Week 2
+            </div>
+          </div>
+          {profiles && (
+            <div className="flex items-center gap-1">
+              <select
+                value={activeProfileId}
+                onChange={(e) => onSwitchProfile(e.target.value)}
+                className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-sm"
+                title="Student profile"
+              >
+                {profiles.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={onManageProfiles}
+                className="p-1.5 rounded-lg border border-slate-200 bg-white"
+                title="Manage profiles"
+              >
+                <Users className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="flex items-center gap-1 bg-slate-100 rounded-xl p-1">
+            <button
+              onClick={() => setActiveWeek("week1")}
+              className={`px-3 py-1.5 rounded-lg text-sm ${
+                activeWeek === "week1" ? "bg-white shadow" : "text-slate-700"
+              }`}
+            >
+              Week 1{" "}
+              {currentWeekKey === "week1" && (
+                <span className="text-xs text-emerald-600">(current)</span>
+              )}
+            </button>
+            <button
+              onClick={() => setActiveWeek("week2")}
+              className={`px-3 py-1.5 rounded-lg text-sm ${
+                activeWeek === "week2" ? "bg-white shadow" : "text-slate-700"
+              }`}
+            >
+              Week 2{" "}
+              {currentWeekKey === "week2" && (
+                <span className="text-xs text-emerald-600">(current)</span>
+              )}
+            </button>
+          </div>
+
+          <div className="flex items-center gap-1 bg-slate-100 rounded-xl p-1">
+            <button
+              onClick={() => setView("schedule")}
+              className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
+                view === "schedule" ? "bg-white shadow" : "text-slate-700"
+              }`}
+            >
+              <CalendarDays className="h-4 w-4" />
+              Schedule
+            </button>
+            <button
+              onClick={() => setView("tasks")}
+              className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
+                view === "tasks" ? "bg-white shadow" : "text-slate-700"
+              }`}
+            >
+              <ListTodo className="h-4 w-4" />
+              Tasks
+              {overdueCount > 0 && (
+                <span
+                  className="ml-0.5 rounded-full bg-rose-600 text-white text-[10px] px-1.5"
+                  title={`${overdueCount} overdue task(s)`}
+                >
+                  {overdueCount}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={() => setView("dashboard")}
+              className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
+                view === "dashboard" ? "bg-white shadow" : "text-slate-700"
+              }`}
+            >
+              <Gauge className="h-4 w-4" />
+              Workload
+            </button>
+            <button
+              onClick={() => setView("chunker")}
+              className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
+                view === "chunker" ? "bg-white shadow" : "text-slate-700"
+              }`}
+            >
+              <Wand2 className="h-4 w-4" />
+              Chunker
+            </button>
+            <button
+              onClick={() => setView("timetable")}
+              className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
+                view === "timetable" ? "bg-white shadow" : "text-slate-700"
+              }`}
+            >
+              <LayoutGrid className="h-4 w-4" />
+              Timetable
+            </button>
+          </div>
+
+          <div className="flex items-center gap-1 bg-slate-100 rounded-xl p-1">
+            <button
+              onClick={onUndo}
+              disabled={!canUndo}
+              className="px-2 py-1.5 rounded-lg text-sm text-slate-700 hover:bg-white disabled:opacity-40 disabled:hover:bg-transparent"
+              title="Undo (Ctrl/Cmd+Z)"
+              aria-label="Undo"
+            >
+              <Undo2 className="h-4 w-4" />
+            </button>
+            <button
+              onClick={onRedo}
+              disabled={!canRedo}
+              className="px-2 py-1.5 rounded-lg text-sm text-slate-700 hover:bg-white disabled:opacity-40 disabled:hover:bg-transparent"
+              title="Redo (Shift+Ctrl/Cmd+Z)"
+              aria-label="Redo"
+            >
+              <Redo2 className="h-4 w-4" />
+            </button>
+          </div>
+
+          <label className="cursor-pointer inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-slate-900 text-white text-sm">
+            <Upload className="h-4 w-4" /> Upload templates JSON
+            <input
+              type="file"
+              accept="application/json"
+              className="hidden"
+              onChange={onUpload}
+            />
+          </label>
+
+          <button
+            onClick={onExport}
+            className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-slate-200 text-sm"
+          >
+            <Download className="h-4 w-4" /> Export data
+          </button>
+
+          {onShare && (
+            <button
+              onClick={onShare}
+              className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-slate-200 text-sm"
+              title="Read-only link to the week on screen"
+            >
+              <Share2 className="h-4 w-4" /> Share view
+            </button>
+          )}
+
+          <button
+            onClick={onExportCalendar}
+            className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-slate-200 text-sm"
+            title="Scheduled blocks and due dates for your phone calendar"
+          >
+            <CalendarDays className="h-4 w-4" /> Export calendar (.ics)
+          </button>
+
+          <label className="cursor-pointer inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-slate-200 text-sm">
+            <Upload className="h-4 w-4" /> Import backup
+            <input
+              type="file"
+              accept="application/json"
+              className="hidden"
+              onChange={onImportBackup}
+            />
+          </label>
+
+          <button
+            onClick={onOpenSettings}
+            className="p-2 rounded-xl bg-white border border-slate-200"
+            title="Settings"
+          >
+            <Settings className="h-4 w-4" />
+          </button>
+
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-slate-600">Week 1 starts:</span>
+            <input
+              type="date"
+              value={week1StartSunday}
+              onChange={(e) => setWeek1StartSunday(e.target.value)}
+              className="px-2 py-1 rounded-lg border border-slate-200 bg-white"
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* --------------------------------------------------
+   ScheduleView
+-------------------------------------------------- */
+function ScheduleView({
+  template,
+  activeWeek,
+  weekStart,
+  onShiftWeek,
+  onThisWeek,
+  placements,
+  tasks,
+  weekOverrides,
+  onToggleFreeBlock,
+  onMovePlacement,
+  onResizePlacement,
+  onSplitPlacement,
+  onMergePlacement,
+  onLogPlacement,
+  onFocusPlacement,
+  onQuickAdd,
+  onDeletePlacement,
+  onEditTemplate,
+  commitments = [],
+  onImportCalendar,
+  onRemoveCommitment,
+  classification,
+  courses = [],
+  readOnly = false,
+}) {
+  const rows = template.grid || [];
+  const taskById = useMemo(
+    () => Object.fromEntries(tasks.map((t) => [t.id, t])),
+    [tasks]
+  );
+
+  const dayDates = useMemo(
+    () => Object.fromEntries(DAYS.map((d, i) => [d, addDays(weekStart, i)])),
+    [weekStart]
+  );
+  const weekPlacements = useMemo(
+    () =>
+      placements.filter((p) =>
+        p.date
+          ? p.date >= weekStart && p.date <= addDays(weekStart, 6)
+          : (p.week || activeWeek) === activeWeek
+      ),
+    [placements, activeWeek, weekStart]
+  );
+  const weekCommitments = useMemo(
+    () =>
+      commitments.filter(
+        (c) => c.date >= weekStart && c.date <= addDays(weekStart, 6)
+      ),
+    [commitments, weekStart]
+  );
+  const today = todayISO();
+
+  const [quickAdd, setQuickAdd] = useState(null);
+  const [courseFilter, setCourseFilter] = useState("all");
+  const courseById = useMemo(
+    () => Object.fromEntries(courses.map((c) => [c.id, c])),
+    [courses]
+  );
+  // Live times of the placement being resized ({ id, start, end })
+  const [resize, setResize] = useState(null);
+  // The click that ends a resize must not open quick-add
+  const suppressClick = useRef(false);
+  // Set from the handle's pointerdown, before any drag can start
+  const resizing = useRef(false);
+
+  function isFree(day, start, end, label) {
+    const key = blockKey(day, start, end);
+    if (weekOverrides?.[key]) return true;
+    return inferBlockType(label, classification) === BLOCK_TYPE.FREE;
+  }
+
+  function onDragStart(e, placementId) {
+    // A resize handle sits inside the draggable item
+    if (resizing.current) {
+      e.preventDefault();
+      return;
+    }
+    e.dataTransfer.setData("text/placementId", placementId);
+    // Where the item was grabbed, so its top edge lands where it is dropped
+    e.dataTransfer.setData(
+      "text/grabOffset",
+      String(e.clientY - e.currentTarget.getBoundingClientRect().top)
+    );
+    e.dataTransfer.effectAllowed = "move";
+  }
+
+  // Minute of the block under `clientY` (the block's track, or the whole cell)
+  function minuteAt(cell, range, clientY) {
+    const rect = (cell.querySelector("[data-track]") || cell).getBoundingClientRect();
+    const ratio = rect.height ? (clientY - rect.top) / rect.height : 0;
+    return range.startMin + ratio * durationMin(range);
+  }
+
+  function onDropToCell(e, day, start, end, label) {
+    e.preventDefault();
+    if (readOnly) return;
+    const placementId = e.dataTransfer.getData("text/placementId");
+    if (!placementId) return;
+    if (!isFree(day, start, end, label)) return;
+    const range = parseRange(`${start}-${end}`);
+    const offset = Number(e.dataTransfer.getData("text/grabOffset")) || 0;
+    onMovePlacement(placementId, {
+      week: activeWeek,
+      date: dayDates[day],
+      day,
+      start,
+      end,
+      startMin: range
+        ? minuteAt(e.currentTarget, range, e.clientY - offset)
+        : undefined,
+    });
+  }
+
+  function startResize(e, p, block, edge, booked) {
+    e.preventDefault();
+    e.stopPropagation();
+    resizing.current = true;
+    const track = e.currentTarget.closest("[data-track]").getBoundingClientRect();
+    const bounds = resizeBounds(block, booked, p);
+    const perMin = track.height / (block.endMin - block.startMin);
+    let range = { start: p.start, end: p.end };
+
+    function onMove(ev) {
+      const minute = block.startMin + (ev.clientY - track.top) / perMin;
+      range = resizeTo(p, edge, minute, bounds);
+      setResize({ id: p.id, ...range });
+    }
+    function onUp() {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      window.removeEventListener("pointercancel", onUp);
+      resizing.current = false;
+      setResize(null);
+      suppressClick.current = true;
+      setTimeout(() => (suppressClick.current = false), 0);
+      if (range.start !== p.start || range.end !== p.end) {
+        onResizePlacement(p.id, range.start, range.end);
+      }
+    }
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    window.addEventListener("pointercancel", onUp);
+  }
+
+  function openQuickAdd(slot) {
+    setQuickAdd({
+      slot,
+      title: "",
+      dueDate: "",
+      estimatedMin: slot.minutes || 60,
+      priority: "medium",
+    });
+  }
+
+  return (
+    <div className="mt-5 grid gap-4">
+      <div className="bg-white rounded-2xl border border-slate-200 p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <h2 className="font-semibold text-lg">Weekly Schedule</h2>
+            {onShiftWeek && (
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => onShiftWeek(-1)}
+                  className="p-1 rounded hover:bg-slate-100"
+                  title="Previous week"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <span className="text-sm text-slate-700">
+                  {WEEK_LABELS[activeWeek]} • {formatShortDate(weekStart)} –{" "}
+                  {formatShortDate(addDays(weekStart, 6))}
+                </span>
+                <button
+                  onClick={() => onShiftWeek(1)}
+                  className="p-1 rounded hover:bg-slate-100"
+                  title="Next week"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={onThisWeek}
+                  className="ml-1 px-2 py-0.5 rounded-lg border border-slate-200 text-xs hover:bg-slate-100"
+                >
+                  This week
+                </button>
+              </div>
+            )}
+          </div>
+          <div className="text-xs text-slate-600 flex flex-wrap items-center gap-2">
+            {courses.length > 0 && (
+              <CourseFilter
+                courses={courses}
+                value={courseFilter}
+                onChange={setCourseFilter}
+              />
+            )}
+            <span className="inline-flex items-center gap-1">
+              <span className="h-2.5 w-2.5 rounded bg-slate-200" />
+              Fixed
+            </span>
+            <span className="inline-flex items-center gap-1">
+              <span className="h-2.5 w-2.5 rounded bg-emerald-100 border border-emerald-200" />
+              Free (incl. Study Hall)
+            </span>
+            <span className="inline-flex items-center gap-1">
+              <span className="h-2.5 w-2.5 rounded bg-indigo-100 border border-indigo-200" />
+              Scheduled Task
+            </span>
+            <span className="inline-flex items-center gap-1">
+              <span className="h-2.5 w-2.5 rounded bg-rose-100 border border-rose-200" />
+              Commitment
+            </span>
+          </div>
+        </div>
+
+        <div className="mt-4 overflow-auto">
+          <div className="min-w-[900px]">
+            <div className="grid grid-cols-8 sticky top-0 bg-white z-10">
+              <div className="p-2 text-xs font-semibold text-slate-500">Time</div>
+              {DAYS.map((d) => (
+                <div
+                  key={d}
+                  className={`p-2 text-xs font-semibold ${
+                    dayDates[d] === today ? "text-emerald-700" : "text-slate-700"
+                  }`}
+                >
+                  {d}
+                  <div className="font-normal text-slate-500">
+                    {formatShortDate(dayDates[d])}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {rows.length === 0 && (
+              <div className="border-t border-slate-100 p-6 text-sm text-slate-500 text-center">
+                No timetable rows yet.{" "}
+                {onEditTemplate && (
+                  <button
+                    onClick={onEditTemplate}
+                    className="text-indigo-700 underline"
+                  >
+                    Build your timetable
+                  </button>
+                )}
+              </div>
+            )}
+
+            {rows.map((r, idx) => {
+              const fixedRange = `${r.start}-${r.end}`;
+              const rowRange = parseRange(fixedRange);
+
+              return (
+                <div key={idx} className="grid grid-cols-8 border-t border-slate-100">
+                  <div className="p-2 text-xs text-slate-600 whitespace-nowrap">
+                    {fixedRange}
+                  </div>
+
+                  {DAYS.map((day) => {
+                    const label = r.days?.[day] ?? null;
+                    const key = blockKey(day, r.start, r.end);
+                    const linkedCourse = courseForLabel(courses, label);
+
+                    const forcedFree = !!weekOverrides?.[key];
+                    const inferredType = inferBlockType(label, classification);
+                    const cellFree = forcedFree || inferredType === BLOCK_TYPE.FREE;
+
+                    const slot = {
+                      id: key,
+                      day,
+                      date: dayDates[day],
+                      start: r.start,
+                      end: r.end,
+                      minutes: rowRange ? durationMin(rowRange) : 60,
+                    };
+                    const block = rowRange && {
+                      day,
+                      date: dayDates[day],
+                      startMin: rowRange.startMin,
+                      endMin: rowRange.endMin,
+                    };
+                    const ps = block
+                      ? placementsInBlock(weekPlacements, activeWeek, block, activeWeek)
+                      : [];
+                    const cs = block
+                      ? placementsInBlock(weekCommitments, activeWeek, block)
+                      : [];
+                    const leftMin =
+                      block && cellFree && ps.length + cs.length > 0
+                        ? remainingMinutes(block, [...ps, ...cs])
+                        : null;
+
+                    return (
+                      <div key={day} className="p-1.5">
+                        <div
+                          onClick={() => {
+                            if (readOnly || suppressClick.current) return;
+                            if (forcedFree) {
+                              onToggleFreeBlock(key);
+                              return;
+                            }
+                            if (cellFree) openQuickAdd(slot);
+                            else onToggleFreeBlock(key);
+                          }}
+                          onDragOver={(e) => {
+                            if (cellFree && !readOnly) e.preventDefault();
+                          }}
+                          onDrop={(e) => onDropToCell(e, day, r.start, r.end, label)}
+                          title={
+                            readOnly
+                              ? undefined
+                              : forcedFree
+                              ? "Click to undo forced-free"
+                              : cellFree
+                              ? "Click to add a task here"
+                              : "Click to mark as Free"
+                          }
+                          className={`min-h-[42px] rounded-lg px-2 py-1 text-xs border transition ${
+                            readOnly ? "cursor-default" : "cursor-pointer"
+                          } ${
+                            cellFree
+                              ? "bg-emerald-50 border-emerald-200 hover:bg-emerald-100"
+                              : "bg-slate-50 border-slate-200 hover:bg-slate-100"
+                          }`}
+                        >
+                          {label && (
+                            <div className="font-medium whitespace-pre-wrap">
+                              {linkedCourse && (
+                                <span
+                                  className={`inline-block h-2 w-2 rounded-full mr-1 ${courseColor(linkedCourse).swatch}`}
+                                  title={linkedCourse.name}
+                                />
+                              )}
+                              {label}
+                            </div>
+                          )}
+
+                          {cellFree && !label && (
+                            <div className="text-slate-400 italic">Free</div>
+                          )}
+
+                          {forcedFree && inferredType !== BLOCK_TYPE.FREE && (
+                            <div className="text-[10px] text-emerald-700 mt-0.5">(forced free)</div>
+                          )}
+
+                          {leftMin !== null && (
+                            <div className="text-[10px] text-emerald-700 mt-0.5">
+                              {leftMin > 0 ? `${leftMin} min left` : "Full"}
+                            </div>
+                          )}
+
+                          {block && ps.length + cs.length > 0 && (
+                            <div
+                              data-track
+                              className="relative mt-1"
+                              style={{
+                                height: `${Math.max(56, (block.endMin - block.startMin) * 1.5)}px`,
+                              }}
+                            >
+                              {cs.map((c) => (
+                                <div
+                                  key={c.id}
+                                  style={trackPosition(block, c)}
+                                  className="absolute inset-x-0 bg-rose-50 border border-rose-200 rounded px-2 overflow-hidden"
+                                  title="Imported calendar event"
+                                >
+                                  <div className="font-semibold text-rose-800 truncate">{c.title}</div>
+                                  <div className="text-[10px] text-rose-700">
+                                    {c.start === "00:00" && c.end === "24:00"
+                                      ? "All day"
+                                      : `${c.start}–${c.end}`}
+                                  </div>
+                                </div>
+                              ))}
+
+                              {ps.map((p) => {
+                                const t = taskById[p.taskId];
+                                if (!t || !matchesCourse(t, courseFilter)) return null;
+                                const done = t.status === "done";
+                                const shown =
+                                  resize?.id === p.id ? { ...p, ...resize } : p;
+                                const others = [
+                                  ...ps.filter((q) => q.id !== p.id),
+                                  ...cs,
+                                ];
+                                const mergeable = !!nextAdjacent(p, weekPlacements);
+                                const course = courseById[t.courseId];
+                                const loggedMin = (t.log || [])
+                                  .filter((e) => e.placementId === p.id)
+                                  .reduce((sum, e) => sum + e.minutes, 0);
+                                return (
+                                  <div
+                                    key={p.id}
+                                    style={trackPosition(block, shown)}
+                                    draggable={!readOnly && resize?.id !== p.id}
+                                    onDragStart={(e) => onDragStart(e, p.id)}
+                                    className={`absolute inset-x-0 border rounded px-2 overflow-hidden cursor-move group ${
+                                      courseColor(course).item
+                                    } ${done ? "opacity-60" : ""}`}
+                                    title={
+                                      course
+                                        ? `${course.name} • drag me to another free block`
+                                        : "Drag me to another free block"
+                                    }
+                                  >
+                                    <div className={`font-semibold pr-6 truncate ${done ? "line-through" : ""}`}>
+                                      {t.title}
+                                    </div>
+                                    <div className={`text-[10px] text-slate-600 ${done ? "line-through" : ""}`}>
+                                      {shown.start}–{shown.end} • due {t.dueDate}
+                                      {loggedMin > 0 && ` • ${loggedMin} min logged`}
+                                      {!p.date && ` • repeats every ${WEEK_LABELS[p.week || activeWeek]}`}
+                                    </div>
+                                    {!readOnly && (
+                                      <>
+                                        <div
+                                          onPointerDown={(e) =>
+                                            startResize(e, p, block, "start", others)
+                                          }
+                                          className="absolute inset-x-0 top-0 h-1.5 cursor-ns-resize touch-none hover:bg-indigo-200"
+                                          title="Drag to change the start"
+                                        />
+                                        <div
+                                          onPointerDown={(e) =>
+                                            startResize(e, p, block, "end", others)
+                                          }
+                                          className="absolute inset-x-0 bottom-0 h-1.5 cursor-ns-resize touch-none hover:bg-indigo-200"
+                                          title="Drag to change the end"
+                                        />
+                                        <div className="absolute top-1 right-1 flex opacity-0 group-hover:opacity-100 transition">
+                                          {!done && (
+                                            <button
+                                              onClick={(e) => {
+                                                e.stopPropagation();
+                                                onFocusPlacement(p);
+                                              }}
+                                              className="p-1 rounded hover:bg-indigo-100"
+                                              title="Start a focus session"
+                                            >
+                                              <Play className="h-3.5 w-3.5 text-indigo-700" />
+                                            </button>
+                                          )}
+                                          <button
+                                            onClick={(e) => {
+                                              e.stopPropagation();
+                                              onLogPlacement(p);
+                                            }}
+                                            className="p-1 rounded hover:bg-indigo-100"
+                                            title={
+                                              loggedMin
+                                                ? `Logged ${loggedMin} min • change`
+                                                : "Log the time you actually spent"
+                                            }
+                                          >
+                                            <Timer className="h-3.5 w-3.5 text-indigo-700" />
+                                          </button>
+                                          <button
+                                            onClick={(e) => {
+                                              e.stopPropagation();
+                                              onSplitPlacement(p.id);
+                                            }}
+                                            className="p-1 rounded hover:bg-indigo-100"
+                                            title="Split in two"
+                                          >
+                                            <Scissors className="h-3.5 w-3.5 text-indigo-700" />
+                                          </button>
+                                          {mergeable && (
+                                            <button
+                                              onClick={(e) => {
+                                                e.stopPropagation();
+                                                onMergePlacement(p.id);
+                                              }}
+                                              className="p-1 rounded hover:bg-indigo-100"
+                                              title="Merge with the next session"
+                                            >
+                                              <Merge className="h-3.5 w-3.5 text-indigo-700" />
+                                            </button>
+                                          )}
+                                          <button
+                                            onClick={(e) => {
+                                              e.stopPropagation();
+                                              onDeletePlacement(p.id);
+                                            }}
+                                            className="p-1 rounded hover:bg-indigo-100"
+                                            title="Remove from schedule"
+                                          >
+                                            <Trash2 className="h-3.5 w-3.5 text-indigo-700" />
+                                          </button>
+                                        </div>
+                                      </>
+                                    )}
+                                  </div>
+                                );
+                              })}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {onImportCalendar && (
+        <div className="bg-white rounded-2xl border border-slate-200 p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="font-semibold">Commitments this week</div>
+            <label className="cursor-pointer inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-slate-200 text-sm">
+              <Upload className="h-4 w-4" /> Import calendar (.ics)
+              <input
+                type="file"
+                accept=".ics,text/calendar"
+                className="hidden"
+                onChange={onImportCalendar}
+              />
+            </label>
+          </div>
+          {weekCommitments.length === 0 ? (
+            <div className="mt-2 text-sm text-slate-500">
+              No imported events this week. Away games, appointments and exams
+              from a calendar file block that time on their dates.
+            </div>
+          ) : (
+            <div className="mt-2 grid gap-1">
+              {[...weekCommitments]
+                .sort((a, b) => (a.date + a.start).localeCompare(b.date + b.start))
+                .map((c) => (
+                  <div
+                    key={c.id}
+                    className="flex items-center justify-between rounded-lg bg-rose-50 border border-rose-200 px-2 py-1 text-xs"
+                  >
+                    <div>
+                      <span className="font-medium text-rose-800">{c.title}</span>{" "}
+                      <span className="text-rose-700">
+                        {c.day} {formatShortDate(c.date)} •{" "}
+                        {c.start === "00:00" && c.end === "24:00"
+                          ? "all day"
+                          : `${c.start}–${c.end}`}
+                      </span>
+                    </div>
+                    <button
+                      onClick={() => onRemoveCommitment(c.uid)}
+                      className="p-1 rounded hover:bg-rose-100"
+                      title="Remove this event (all its dates)"
+                    >
+                      <Trash2 className="h-3.5 w-3.5 text-rose-700" />
+                    </button>
+                  </div>
+                ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {template.notes?.length > 0 && (
+        <div className="bg-white rounded-2xl border border-slate-200 p-4">
+          <div className="flex items-center gap-2 font-semibold">
+            <Info className="h-4 w-4" /> Tues & Sat timing notes
+          </div>
+          <div className="mt-2 text-sm text-slate-700 flex flex-wrap gap-2">
+            {template.notes.map((n, i) => (
+              <span key={i} className="px-2 py-1 rounded-lg bg-slate-100 text-xs">
+                {n}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <AnimatePresence>
+        {quickAdd && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+            onClick={() => setQuickAdd(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.98, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.98, opacity: 0 }}
+              className="bg-white w-full max-w-md rounded-2xl p-4 border border-slate-200 shadow-xl"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="font-semibold text-lg">
+                Add task to {quickAdd.slot.day} {quickAdd.slot.start}–{quickAdd.slot.end}
+              </div>
+
+              <div className="mt-3 grid gap-2">
+                <label className="text-xs font-medium text-slate-600">Task title</label>
+                <input
+                  value={quickAdd.title}
+                  onChange={(e) => setQuickAdd((q) => ({ ...q, title: e.target.value }))}
+                  className="px-3 py-2 rounded-xl border border-slate-200"
+                  placeholder="e.g., Chemistry homework"
+                />
+
+                <label className="text-xs font-medium text-slate-600 mt-1">Due date</label>
+                <input
+                  type="date"
+                  value={quickAdd.dueDate || ""}
+                  onChange={(e) => setQuickAdd((q) => ({ ...q, dueDate: e.target.value }))}
+                  className="px-3 py-2 rounded-xl border border-slate-200"
+                />
+
+                <label className="text-xs font-medium text-slate-600 mt-1">Estimated minutes</label>
+                <input
+                  type="number"
+                  min={10}
+                  step={5}
+                  value={quickAdd.estimatedMin}
+                  onChange={(e) =>
+                    setQuickAdd((q) => ({ ...q, estimatedMin: Number(e.target.value) }))
+                  }
+                  className="px-3 py-2 rounded-xl border border-slate-200"
+                />
+
+                <label className="text-xs font-medium text-slate-600 mt-1">Priority</label>
+                <select
+                  value={quickAdd.priority}
+                  onChange={(e) => setQuickAdd((q) => ({ ...q, priority: e.target.value }))}
+                  className="px-3 py-2 rounded-xl border border-slate-200"
+                >
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                </select>
+
+                <div className="mt-3 flex gap-2">
+                  <button
+                    onClick={() => setQuickAdd(null)}
+                    className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (!quickAdd.title.trim()) return;
+                      onQuickAdd(quickAdd.slot, {
+                        title: quickAdd.title.trim(),
+                        dueDate: quickAdd.dueDate || new Date().toISOString().slice(0, 10),
+                        estimatedMin: quickAdd.estimatedMin,
+                        priority: quickAdd.priority,
+                      });
+                      setQuickAdd(null);
+                    }}
+                    className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
+                  >
+                    Add to this block
+                  </button>
+                </div>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+/* --------------------------------------------------
+   TasksView
+-------------------------------------------------- */
+function TasksView({
+  tasks,
+  placements = [],
+  courses = [],
+  onAddCourse,
+  onUpdateCourse,
+  onRemoveCourse,
+  addTask,
+  addSeries,
+  updateTask,
+  removeTask,
+  toggleDone,
+  onAutoScheduleTask,
+  onPlanAll,
+  onPlanSeries,
+  onLogTime,
+  onFocusTask,
+  openTaskId,
+  onOpenedTask,
+  forecast = {},
+  onForceFree,
+  readOnly = false,
+}) {
+  const [form, setForm] = useState({
+    title: "",
+    dueDate: "",
+    estimatedMin: 60,
+    priority: "medium",
+  });
+  const [repeat, setRepeat] = useState(NO_REPEAT);
+  const [courseFilter, setCourseFilter] = useState("all");
+  const courseById = Object.fromEntries(courses.map((c) => [c.id, c]));
+  const shown = tasks.filter((t) => matchesCourse(t, courseFilter));
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const courseHistory = estimateAccuracy(tasks, (t) => t.courseId ?? null);
+  const suggested = suggestEstimate(
+    courseHistory.find((g) => g.key === form.courseId),
+    Number(form.estimatedMin)
+  );
+  const [editing, setEditing] = useState(null);
+
+  const upcoming = tasks.filter((t) => t.status !== "done").length;
+  const lateCount = Object.values(forecast).filter((f) => f.status === "late").length;
+  const taskById = Object.fromEntries(tasks.map((t) => [t.id, t]));
+
+  function openEdit(t) {
+    setEditing({ ...t });
+  }
+
+  // A clicked reminder opens its task here; onOpenedTask clears the request,
+  // so this runs once per click
+  useEffect(() => {
+    if (!openTaskId) return;
+    const t = tasks.find((x) => x.id === openTaskId);
+    if (t) setEditing({ ...t });
+    onOpenedTask?.();
+  }, [openTaskId, tasks, onOpenedTask]);
+
+  const today = todayISO();
+
+  return (
+    <div className="mt-5 grid md:grid-cols-3 gap-4">
+      {!readOnly && (
+        <div className="md:col-span-1 bg-white rounded-2xl border border-slate-200 p-4">
+          <h2 className="font-semibold text-lg flex items-center gap-2">
+            <Plus className="h-5 w-5" /> Add Task
+          </h2>
+
+          <div className="mt-3 grid gap-2">
+            <label className="text-xs font-medium text-slate-600">Task title</label>
+            <input
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              className="px-3 py-2 rounded-xl border border-slate-200"
+              placeholder="e.g., Math homework"
+            />
+
+            <label className="text-xs font-medium text-slate-600 mt-2">Due date</label>
+            <input
+              type="date"
+              value={form.dueDate || ""}
+              onChange={(e) => setForm({ ...form, dueDate: e.target.value })}
+              className="px-3 py-2 rounded-xl border border-slate-200"
+            />
+
+            <label className="text-xs font-medium text-slate-600 mt-2">Estimated time (minutes)</label>
+            <input
+              type="number"
+              min={10}
+              step={5}
+              value={form.estimatedMin}
+              onChange={(e) =>
+                setForm({ ...form, estimatedMin: Number(e.target.value) })
+              }
+              className="px-3 py-2 rounded-xl border border-slate-200"
+            />
+            {suggested && (
+              <SuggestedEstimate
+                course={courses.find((c) => c.id === form.courseId)?.name}
+                minutes={suggested}
+                onUse={() => setForm({ ...form, estimatedMin: suggested })}
+              />
+            )}
+
+            <label className="text-xs font-medium text-slate-600 mt-2">Priority</label>
+            <select
+              value={form.priority}
+              onChange={(e) => setForm({ ...form, priority: e.target.value })}
+              className="px-3 py-2 rounded-xl border border-slate-200"
+            >
+              <option value="low">Low</option>
+              <option value="medium">Medium</option>
+              <option value="high">High</option>
+            </select>
+
+            {courses.length > 0 && (
+              <>
+                <label className="text-xs font-medium text-slate-600 mt-2">Course</label>
+                <CourseSelect
+                  courses={courses}
+                  value={form.courseId}
+                  onChange={(courseId) => setForm({ ...form, courseId })}
+                />
+              </>
+            )}
+
+            <RepeatFields
+              repeat={repeat}
+              onChange={(patch) => setRepeat((r) => ({ ...r, ...patch }))}
+            />
+
+            <button
+              onClick={() => {
+                if (!form.title || !form.dueDate || !form.estimatedMin) return;
+                if (repeat.freq === "none") {
+                  addTask(form);
+                } else {
+                  if (!repeat.until || repeat.until < form.dueDate) {
+                    alert("Pick an end date on or after the first due date.");
+                    return;
+                  }
+                  if (repeat.freq === "weekdays" && repeat.days.length === 0) {
+                    alert("Pick at least one weekday.");
+                    return;
+                  }
+                  const { freq, days, week, every, until } = repeat;
+                  const count = addSeries(form, { freq, days, week, every, until });
+                  if (count === 0) {
+                    alert("No dates match this repeat rule before the end date.");
+                    return;
+                  }
+                  setRepeat(NO_REPEAT);
+                }
+                setForm({
+                  title: "",
+                  dueDate: "",
+                  estimatedMin: 60,
+                  priority: "medium",
+                  courseId: form.courseId,
+                });
+              }}
+              className="mt-3 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-slate-900 text-white"
+            >
+              Add
+            </button>
+
+            <div className="text-xs text-slate-500 mt-2">
+              {upcoming} upcoming task(s)
+            </div>
+          </div>
+
+          <CoursesPanel
+            courses={courses}
+            onAdd={onAddCourse}
+            onUpdate={onUpdateCourse}
+            onRemove={onRemoveCourse}
+          />
+        </div>
+      )}
+
+      <div
+        className={`${
+          readOnly ? "md:col-span-3" : "md:col-span-2"
+        } bg-white rounded-2xl border border-slate-200 p-4`}
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold text-lg">
+            {readOnly ? "Tasks" : "Your Tasks (click to edit)"}
+          </h2>
+          <div className="flex items-center gap-2">
+            {courses.length > 0 && (
+              <CourseFilter
+                courses={courses}
+                value={courseFilter}
+                onChange={setCourseFilter}
+              />
+            )}
+            {!readOnly && (
+              <>
+                <button
+                  onClick={() => setHistoryOpen(true)}
+                  className="p-2 rounded-xl border border-slate-200"
+                  title="Estimate history"
+                >
+                  <BarChart3 className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={onPlanAll}
+                  className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-indigo-600 text-white text-sm"
+                  title="Schedule every open task across Week 1 and Week 2"
+                >
+                  <Wand2 className="h-4 w-4" /> Plan all
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {lateCount > 0 && (
+          <div className="mt-3 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-800">
+            {lateCount} task(s) can't fit in the free time left before their
+            due date.
+          </div>
+        )}
+
+        {tasks.length === 0 ? (
+          <div className="mt-6 text-sm text-slate-500">
+            {readOnly ? "No tasks." : "No tasks yet. Add one on the left."}
+          </div>
+        ) : shown.length === 0 ? (
+          <div className="mt-6 text-sm text-slate-500">
+            No tasks for this course.
+          </div>
+        ) : (
+          <div className="mt-3 grid gap-2">
+            {shown.map((t) => (
+              <div
+                key={t.id}
+                className="flex items-center justify-between rounded-xl border border-slate-200 px-3 py-2"
+              >
+                <div className="flex items-start gap-3 flex-1">
+                  <input
+                    type="checkbox"
+                    checked={t.status === "done"}
+                    onChange={() => toggleDone(t.id)}
+                    disabled={readOnly}
+                    className="mt-1"
+                  />
+
+                  <div className="flex-1">
+                    <button
+                      onClick={() => openEdit(t)}
+                      disabled={readOnly}
+                      className="text-left w-full"
+                    >
+                      <div
+                        className={`font-medium ${
+                          t.status === "done" ? "line-through text-slate-400" : ""
+                        }`}
+                      >
+                        {t.title}
+                      </div>
+                      <div className="text-xs text-slate-600">
+                        {courseById[t.courseId] && (
+                          <span
+                            className={`inline-flex items-center gap-1 mr-1 ${
+                              courseColor(courseById[t.courseId]).text
+                            }`}
+                          >
+                            <span
+                              className={`h-2 w-2 rounded-full ${
+                                courseColor(courseById[t.courseId]).swatch
+                              }`}
+                            />
+                            {courseById[t.courseId].name} •
+                          </span>
+                        )}
+                        Due {t.dueDate} • {t.estimatedMin} min • {t.priority}
+                        {isOverdue(t, today) && (
+                          <span className="ml-1 rounded-full bg-rose-100 text-rose-700 px-1.5 font-medium">
+                            Overdue
+                          </span>
+                        )}
+                      </div>
+                      {t.recurrence && (
+                        <div className="text-xs text-indigo-700 inline-flex items-center gap-1">
+                          <Repeat className="h-3 w-3" />
+                          {describeRecurrence(t.recurrence)}
+                        </div>
+                      )}
+                      {actualMinutes(t) > 0 && (
+                        <LoggedMinutes task={t} />
+                      )}
+                      {t.status !== "done" && (
+                        <PlacedMinutes
+                          placed={placedMinutes(t.id, placements)}
+                          estimated={Number(t.estimatedMin) || 0}
+                        />
+                      )}
+                      {t.unfitMin > 0 && t.status !== "done" && !forecast[t.id] && (
+                        <div className="text-xs text-rose-600">
+                          Cannot fit before due date • {t.unfitMin} min short
+                        </div>
+                      )}
+                    </button>
+                    {forecast[t.id] && (
+                      <CapacityWarning
+                        risk={forecast[t.id]}
+                        taskById={taskById}
+                        onForceFree={onForceFree}
+                      />
+                    )}
+                  </div>
+                </div>
+
+                {!readOnly && (
+                  <div className="flex items-center gap-1">
+                    {t.seriesId && (
+                      <button
+                        onClick={() => onPlanSeries(t.seriesId)}
+                        className="p-2 rounded-lg hover:bg-indigo-50 text-indigo-700"
+                        title="Auto-schedule the whole series"
+                      >
+                        <Repeat className="h-4 w-4" />
+                      </button>
+                    )}
+                    {t.status !== "done" && (
+                      <button
+                        onClick={() => onFocusTask(t.id)}
+                        className="p-2 rounded-lg hover:bg-slate-100"
+                        title="Start a focus session"
+                      >
+                        <Play className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => onLogTime(t.id)}
+                      className="p-2 rounded-lg hover:bg-slate-100"
+                      title="Log time spent"
+                    >
+                      <Timer className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => onAutoScheduleTask(t.id)}
+                      className="p-2 rounded-lg hover:bg-indigo-50 text-indigo-700"
+                      title="Auto-schedule this task"
+                    >
+                      <Wand2 className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => openEdit(t)}
+                      className="p-2 rounded-lg hover:bg-slate-100"
+                      title="Edit"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => removeTask(t.id)}
+                      className="p-2 rounded-lg hover:bg-slate-100"
+                      title="Delete"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <AnimatePresence>
+        {editing && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+            onClick={() => setEditing(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.98, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.98, opacity: 0 }}
+              className="bg-white w-full max-w-md rounded-2xl p-4 border border-slate-200 shadow-xl"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="flex items-center justify-between">
+                <div className="font-semibold text-lg">Edit Task</div>
+                <button
+                  onClick={() => setEditing(null)}
+                  className="p-1 rounded hover:bg-slate-100"
+                  title="Close"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+
+              <div className="mt-3 grid gap-2">
+                <label className="text-xs font-medium text-slate-600">Task title</label>
+                <input
+                  value={editing.title}
+                  onChange={(e) => setEditing((q) => ({ ...q, title: e.target.value }))}
+                  className="px-3 py-2 rounded-xl border border-slate-200"
+                />
+
+                <label className="text-xs font-medium text-slate-600 mt-1">Due date</label>
+                <input
+                  type="date"
+                  value={editing.dueDate || ""}
+                  onChange={(e) => setEditing((q) => ({ ...q, dueDate: e.target.value }))}
+                  className="px-3 py-2 rounded-xl border border-slate-200"
+                />
+
+                <label className="text-xs font-medium text-slate-600 mt-1">Estimated minutes</label>
+                <input
+                  type="number"
+                  min={10}
+                  step={5}
+                  value={editing.estimatedMin}
+                  onChange={(e) =>
+                    setEditing((q) => ({ ...q, estimatedMin: Number(e.target.value) }))
+                  }
+                  className="px-3 py-2 rounded-xl border border-slate-200"
+                />
+
+                <label className="text-xs font-medium text-slate-600 mt-1">Priority</label>
+                <select
+                  value={editing.priority}
+                  onChange={(e) => setEditing((q) => ({ ...q, priority: e.target.value }))}
+                  className="px-3 py-2 rounded-xl border border-slate-200"
+                >
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                </select>
+
+                {courses.length > 0 && (
+                  <>
+                    <label className="text-xs font-medium text-slate-600 mt-1">Course</label>
+                    <CourseSelect
+                      courses={courses}
+                      value={editing.courseId}
+                      onChange={(courseId) => setEditing((q) => ({ ...q, courseId }))}
+                    />
+                  </>
+                )}
+
+                <div className="mt-3 flex gap-2">
+                  <button
+                    onClick={() => setEditing(null)}
+                    className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (!editing.title.trim()) return;
+                      updateTask(editing.id, {
+                        title: editing.title.trim(),
+                        dueDate: editing.dueDate,
+                        estimatedMin: editing.estimatedMin,
+                        priority: editing.priority,
+                        courseId: editing.courseId,
+                      });
+                      setEditing(null);
+                    }}
+                    className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
+                  >
+                    Save
+                  </button>
+                </div>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {historyOpen && (
+          <EstimateHistoryDialog
+            tasks={tasks}
+            courses={courses}
+            onClose={() => setHistoryOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+/* --------------------------------------------------
+   TemplateEditorView
+-------------------------------------------------- */
+function emptyRow(after) {
+  const start = after?.end || "08:00";
+  const end = toHHMM(Math.min(toMin(start) + 50, 23 * 60 + 59));
+  return { start, end, days: {} };
+}
+
+// Drop blank day labels so empty cells read as FREE again
+function cleanTemplate(tpl) {
+  return {
+    ...tpl,
+    grid: (tpl.grid || []).map((row) => ({
+      ...row,
+      days: Object.fromEntries(
+        Object.entries(row.days || {}).filter(([, label]) => label?.trim())
+      ),
+    })),
+    notes: (tpl.notes || []).filter((n) => n.trim()),
+  };
+}
+
+function TemplateEditorView({
+  templates,
+  freeOverrides,
+  week1StartSunday,
+  initialWeek,
+  onSave,
+  onDirtyChange,
+}) {
+  const [draft, setDraft] = useState(templates);
+  const [week, setWeek] = useState(initialWeek);
+  const [pasteOpen, setPasteOpen] = useState(false);
+  const [rulesOpen, setRulesOpen] = useState(false);
+
+  const tpl = draft.templates?.[week] || { grid: [], blocks: [], notes: [] };
+  const classification = classificationOf(draft);
+  const rows = tpl.grid || [];
+  const notes = tpl.notes || [];
+  const dirty = JSON.stringify(draft) !== JSON.stringify(templates);
+
+  // The app asks before leaving with unsaved changes
+  useEffect(() => {
+    onDirtyChange?.(dirty);
+  }, [dirty, onDirtyChange]);
+  useEffect(() => () => onDirtyChange?.(false), [onDirtyChange]);
+
+  const previewStart = nextWeekStart(
+    week1StartSunday,
+    week,
+    "Sunday",
+    todayISO()
+  );
+
+  function updateWeek(patch) {
+    setDraft((prev) => ({
+      ...prev,
+      templates: {
+        ...prev.templates,
+        [week]: { ...(prev.templates?.[week] || {}), ...patch },
+      },
+    }));
+  }
+  function updateRow(idx, patch) {
+    updateWeek({
+      grid: rows.map((r, i) => (i === idx ? { ...r, ...patch } : r)),
+    });
+  }
+  function updateLabel(idx, day, label) {
+    updateRow(idx, { days: { ...(rows[idx].days || {}), [day]: label } });
+  }
+  function moveRow(idx, delta) {
+    const to = idx + delta;
+    if (to < 0 || to >= rows.length) return;
+    const next = [...rows];
+    [next[idx], next[to]] = [next[to], next[idx]];
+    updateWeek({ grid: next });
+  }
+  function addRow() {
+    updateWeek({ grid: [...rows, emptyRow(rows[rows.length - 1])] });
+  }
+  function removeRow(idx) {
+    updateWeek({ grid: rows.filter((_, i) => i !== idx) });
+  }
+
+  function copyWeek1ToWeek2() {
+    const hasWeek2 = (draft.templates?.week2?.grid || []).length > 0;
+    if (hasWeek2 && !window.confirm("Replace Week 2 with a copy of Week 1?")) {
+      return;
+    }
+    setDraft((prev) => ({
+      ...prev,
+      templates: {
+        ...prev.templates,
+        week2: JSON.parse(JSON.stringify(prev.templates?.week1 || {})),
+      },
+    }));
+    setWeek("week2");
+  }
+
+  function save() {
+    const next = {
+      ...draft,
+      templates: {
+        week1: cleanTemplate(draft.templates?.week1 || {}),
+        week2: cleanTemplate(draft.templates?.week2 || {}),
+      },
+    };
+    if (onSave(next) !== false) setDraft(next);
+  }
+
+  return (
+    <div className="mt-5 grid gap-4">
+      <div className="bg-white rounded-2xl border border-slate-200 p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="flex items-center gap-2">
+            <h2 className="font-semibold text-lg">Timetable Editor</h2>
+            <div className="flex items-center gap-1 bg-slate-100 rounded-xl p-1">
+              {["week1", "week2"].map((w) => (
+                <button
+                  key={w}
+                  onClick={() => setWeek(w)}
+                  className={`px-3 py-1 rounded-lg text-sm ${
+                    week === w ? "bg-white shadow" : "text-slate-700"
+                  }`}
+                >
+                  {WEEK_LABELS[w]}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => setRulesOpen((v) => !v)}
+              className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-slate-200 text-sm"
+            >
+              <ListChecks className="h-4 w-4" /> Block rules
+            </button>
+            <button
+              onClick={() => setPasteOpen((v) => !v)}
+              className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-slate-200 text-sm"
+            >
+              <ClipboardPaste className="h-4 w-4" /> Paste from spreadsheet
+            </button>
+            <button
+              onClick={copyWeek1ToWeek2}
+              className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-slate-200 text-sm"
+            >
+              <Copy className="h-4 w-4" /> Copy Week 1 to Week 2
+            </button>
+            <button
+              onClick={() => setDraft(templates)}
+              disabled={!dirty}
+              className="px-3 py-1.5 rounded-xl border border-slate-200 text-sm disabled:opacity-40"
+            >
+              Discard changes
+            </button>
+            <button
+              onClick={save}
+              disabled={!dirty}
+              className="px-3 py-1.5 rounded-xl bg-slate-900 text-white text-sm disabled:opacity-40"
+            >
+              Save timetable
+            </button>
+          </div>
+        </div>
+
+        {rulesOpen && (
+          <BlockRulesEditor
+            classification={classification}
+            labels={templateLabels(draft)}
+            onChange={(next) =>
+              setDraft((prev) => ({ ...prev, classification: next }))
+            }
+            onClose={() => setRulesOpen(false)}
+          />
+        )}
+
+        {pasteOpen && (
+          <SpreadsheetImport
+            week={week}
+            weekStart={previewStart}
+            weekOverrides={freeOverrides[week] || {}}
+            classification={classification}
+            onReplace={(grid) => {
+              updateWeek({ grid });
+              setPasteOpen(false);
+            }}
+            onClose={() => setPasteOpen(false)}
+          />
+        )}
+
+        <div className="mt-4 overflow-auto">
+          <div className="min-w-[1000px] grid gap-1">
+            <div className="grid grid-cols-[90px_90px_repeat(7,minmax(0,1fr))_84px] gap-1 text-xs font-semibold text-slate-500">
+              <div className="px-1">Start</div>
+              <div className="px-1">End</div>
+              {DAYS.map((d) => (
+                <div key={d} className="px-1">
+                  {d}
+                </div>
+              ))}
+              <div />
+            </div>
+
+            {rows.map((r, idx) => (
+              <div
+                key={idx}
+                className="grid grid-cols-[90px_90px_repeat(7,minmax(0,1fr))_84px] gap-1 items-center"
+              >
+                <input
+                  type="time"
+                  value={r.start || ""}
+                  onChange={(e) => updateRow(idx, { start: e.target.value })}
+                  className="px-1 py-1 rounded-lg border border-slate-200 text-xs"
+                />
+                <input
+                  type="time"
+                  value={r.end || ""}
+                  onChange={(e) => updateRow(idx, { end: e.target.value })}
+                  className="px-1 py-1 rounded-lg border border-slate-200 text-xs"
+                />
+                {DAYS.map((d) => (
+                  <input
+                    key={d}
+                    value={r.days?.[d] ?? ""}
+                    onChange={(e) => updateLabel(idx, d, e.target.value)}
+                    placeholder="Free"
+                    className={`px-2 py-1 rounded-lg border text-xs ${
+                      inferBlockType(r.days?.[d], classification) === BLOCK_TYPE.FREE
+                        ? "border-emerald-200 bg-emerald-50"
+                        : "border-slate-200"
+                    }`}
+                  />
+                ))}
+                <div className="flex items-center">
+                  <button
+                    onClick={() => moveRow(idx, -1)}
+                    className="p-1 rounded hover:bg-slate-100"
+                    title="Move up"
+                  >
+                    <ArrowUp className="h-3.5 w-3.5" />
+                  </button>
+                  <button
+                    onClick={() => moveRow(idx, 1)}
+                    className="p-1 rounded hover:bg-slate-100"
+                    title="Move down"
+                  >
+                    <ArrowDown className="h-3.5 w-3.5" />
+                  </button>
+                  <button
+                    onClick={() => removeRow(idx)}
+                    className="p-1 rounded hover:bg-slate-100"
+                    title="Remove row"
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <button
+          onClick={addRow}
+          className="mt-3 inline-flex items-center gap-2 px-3 py-1.5 rounded-xl border border-slate-200 text-sm"
+        >
+          <Plus className="h-4 w-4" /> Add row
+        </button>
+
+        <div className="mt-5">
+          <div className="text-xs font-medium text-slate-600">Notes</div>
+          <div className="mt-1 grid gap-1">
+            {notes.map((n, i) => (
+              <div key={i} className="flex items-center gap-1">
+                <input
+                  value={n}
+                  onChange={(e) =>
+                    updateWeek({
+                      notes: notes.map((x, j) => (j === i ? e.target.value : x)),
+                    })
+                  }
+                  className="flex-1 px-2 py-1 rounded-lg border border-slate-200 text-sm"
+                />
+                <button
+                  onClick={() =>
+                    updateWeek({ notes: notes.filter((_, j) => j !== i) })
+                  }
+                  className="p-1 rounded hover:bg-slate-100"
+                  title="Remove note"
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={() => updateWeek({ notes: [...notes, ""] })}
+            className="mt-2 inline-flex items-center gap-2 px-3 py-1.5 rounded-xl border border-slate-200 text-sm"
+          >
+            <Plus className="h-4 w-4" /> Add note
+          </button>
+        </div>
+      </div>
+
+      <div className="text-xs text-slate-500 px-1">
+        Live preview of {WEEK_LABELS[week]}
+        {dirty && " (unsaved changes)"}
+      </div>
+      <ScheduleView
+        template={tpl}
+        classification={classification}
+        activeWeek={week}
+        weekStart={previewStart}
+        placements={[]}
+        tasks={[]}
+        weekOverrides={freeOverrides[week] || {}}
+        readOnly
       />
+    </div>
+  );
+}
 
-      <main className="max-w-6xl mx-auto px-4 pb-16">
-        <AnimatePresence mode="wait">
-          {view === "schedule" && (
-            <motion.div
-              key="schedule"
-              initial={{ opacity: 0, y: 10 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: -10 }}
-            >
-              <ScheduleView
-                template={template}
-                activeWeek={activeWeek}
-                placements={placements}
-                tasks={tasks}
-                weekOverrides={activeWeekOverrides}
-                onToggleFreeBlock={(key) =>
-                  setFreeOverrides((prev) => {
-                    const next = {
-                      week1: { ...(prev.week1 || {}) },
-                      week2: { ...(prev.week2 || {}) },
-                    };
-                    const bag = { ...(next[activeWeek] || {}) };
-                    if (bag[key]) delete bag[key];
-                    else bag[key] = true;
-                    next[activeWeek] = bag;
-                    return next;
-                  })
-                }
-                onMovePlacement={(placementId, target) => {
-                  setPlacements((prev) =>
-                    prev.map((p) =>
-                      p.id === placementId
-                        ? {
-                            ...p,
-                            week: target.week ?? p.week ?? activeWeek,
-                            day: target.day,
-                            start: target.start,
-                            end: target.end,
-                          }
-                        : p
-                    )
-                  );
-                }}
-                onQuickAdd={quickAddToSlot}
-                onDeletePlacement={removePlacement}
-              />
-            </motion.div>
+/* --------------------------------------------------
+   BlockRulesEditor
+-------------------------------------------------- */
+// Every distinct label in Week 1 and Week 2, for the rules preview
+function templateLabels(templates) {
+  const labels = new Set();
+  for (const week of ["week1", "week2"]) {
+    for (const row of templates.templates?.[week]?.grid || []) {
+      for (const label of Object.values(row.days || {})) {
+        if (label?.trim()) labels.add(label.trim());
+      }
+    }
+  }
+  return [...labels].sort((a, b) => a.localeCompare(b));
+}
+
+const RESULT_STYLES = {
+  fixed: "bg-slate-100 text-slate-700",
+  free: "bg-emerald-100 text-emerald-800",
+  study: "bg-sky-100 text-sky-800",
+};
+
+function BlockRulesEditor({ classification, labels, onChange, onClose }) {
+  const rules = classification.rules || [];
+
+  function setRules(next) {
+    onChange({ ...classification, rules: next });
+  }
+  function updateRule(idx, patch) {
+    setRules(rules.map((r, i) => (i === idx ? { ...r, ...patch } : r)));
+  }
+  function moveRule(idx, delta) {
+    const to = idx + delta;
+    if (to < 0 || to >= rules.length) return;
+    const next = [...rules];
+    [next[idx], next[to]] = [next[to], next[idx]];
+    setRules(next);
+  }
+  function addRule() {
+    setRules([
+      ...rules,
+      { id: crypto.randomUUID(), match: "contains", pattern: "", result: "free" },
+    ]);
+  }
+  function resetRules() {
+    if (!window.confirm("Replace your block rules with the defaults?")) return;
+    onChange(DEFAULT_CLASSIFICATION);
+  }
+
+  return (
+    <div className="mt-4 rounded-xl border border-slate-200 p-3 grid gap-3">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">Block rules</div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded hover:bg-slate-100"
+          title="Close"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+      <div className="text-xs text-slate-600">
+        Checked top to bottom; the first matching rule decides. Matching
+        ignores case. Free and study blocks can be scheduled; study blocks
+        keep their label.
+      </div>
+
+      <div className="grid gap-1">
+        {rules.map((rule, idx) => {
+          const problem = ruleError(rule);
+          return (
+            <div key={rule.id || idx} className="grid gap-0.5">
+              <div className="grid grid-cols-[24px_110px_minmax(0,1fr)_90px_84px] gap-1 items-center">
+                <div className="text-xs text-slate-500 text-right pr-1">
+                  {idx + 1}.
+                </div>
+                <select
+                  value={rule.match}
+                  onChange={(e) => updateRule(idx, { match: e.target.value })}
+                  className="px-1 py-1 rounded-lg border border-slate-200 text-xs bg-white"
+                >
+                  <option value="exact">is exactly</option>
+                  <option value="contains">contains</option>
+                  <option value="regex">matches regex</option>
+                </select>
+                <input
+                  value={rule.pattern}
+                  onChange={(e) => updateRule(idx, { pattern: e.target.value })}
+                  placeholder={rule.match === "regex" ? "\\bpe\\b" : "Study Hall"}
+                  className={`px-2 py-1 rounded-lg border text-xs ${
+                    rule.match === "regex" ? "font-mono" : ""
+                  } ${problem ? "border-rose-300" : "border-slate-200"}`}
+                />
+                <select
+                  value={rule.result}
+                  onChange={(e) => updateRule(idx, { result: e.target.value })}
+                  className="px-1 py-1 rounded-lg border border-slate-200 text-xs bg-white"
+                >
+                  <option value="fixed">fixed</option>
+                  <option value="free">free</option>
+                  <option value="study">study</option>
+                </select>
+                <div className="flex items-center">
+                  <button
+                    onClick={() => moveRule(idx, -1)}
+                    className="p-1 rounded hover:bg-slate-100"
+                    title="Higher priority"
+                  >
+                    <ArrowUp className="h-3.5 w-3.5" />
+                  </button>
+                  <button
+                    onClick={() => moveRule(idx, 1)}
+                    className="p-1 rounded hover:bg-slate-100"
+                    title="Lower priority"
+                  >
+                    <ArrowDown className="h-3.5 w-3.5" />
+                  </button>
+                  <button
+                    onClick={() => setRules(rules.filter((_, i) => i !== idx))}
+                    className="p-1 rounded hover:bg-slate-100"
+                    title="Remove rule"
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+              </div>
+              {problem && (
+                <div className="pl-7 text-[11px] text-rose-700">
+                  {problem} This rule is skipped.
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={addRule}
+          className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl border border-slate-200"
+        >
+          <Plus className="h-4 w-4" /> Add rule
+        </button>
+        <button
+          onClick={resetRules}
+          className="px-3 py-1.5 rounded-xl border border-slate-200"
+        >
+          Reset to defaults
+        </button>
+        <label className="ml-auto flex items-center gap-2 text-xs text-slate-600">
+          Labels no rule matches are
+          <select
+            value={classification.fallback || "fixed"}
+            onChange={(e) =>
+              onChange({ ...classification, fallback: e.target.value })
+            }
+            className="px-1 py-1 rounded-lg border border-slate-200 bg-white"
+          >
+            <option value="fixed">fixed</option>
+            <option value="free">free</option>
+          </select>
+        </label>
+      </div>
+
+      <div>
+        <div className="text-xs font-medium text-slate-600">
+          Preview • {labels.length} label(s) in Week 1 and Week 2
+        </div>
+        <div className="mt-1 grid gap-0.5 max-h-60 overflow-auto">
+          {labels.map((label) => {
+            const c = classifyLabel(label, classification);
+            return (
+              <div
+                key={label}
+                className="flex items-center justify-between gap-2 text-xs"
+              >
+                <span className="truncate">{label}</span>
+                <span className="flex items-center gap-2 shrink-0">
+                  <span className="text-slate-500">
+                    {c.known ? `rule ${c.ruleIndex + 1}` : "no rule matches"}
+                  </span>
+                  <span
+                    className={`px-1.5 py-0.5 rounded ${RESULT_STYLES[c.result]}`}
+                  >
+                    {c.result}
+                  </span>
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* --------------------------------------------------
+   SpreadsheetImport
+-------------------------------------------------- */
+function SpreadsheetImport({
+  week,
+  weekStart,
+  weekOverrides,
+  classification,
+  onReplace,
+  onClose,
+}) {
+  const [text, setText] = useState("");
+  const parsed = useMemo(() => parseTimetableSheet(text), [text]);
+
+  function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setText(String(reader.result));
+    reader.readAsText(file);
+    e.target.value = "";
+  }
+
+  return (
+    <div className="mt-4 rounded-xl border border-slate-200 p-3 grid gap-3">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">
+          Paste {WEEK_LABELS[week]} from a spreadsheet
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded hover:bg-slate-100"
+          title="Close"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+      <div className="text-xs text-slate-600">
+        One time column, then one column per day. A header row of day names
+        is optional (otherwise Sunday to Saturday). Times like "8:00–8:50" or
+        "8:00 AM - 8:50 AM".
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={6}
+        placeholder={"Time\tSunday\tMonday\t…\n8:00–8:50\tBlock A\tBlock B\t…"}
+        className="px-3 py-2 rounded-xl border border-slate-200 text-xs font-mono"
+      />
+      <label className="cursor-pointer inline-flex items-center gap-2 text-sm text-indigo-700">
+        <Upload className="h-4 w-4" /> Or upload a CSV/TSV file
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+          className="hidden"
+          onChange={handleFile}
+        />
+      </label>
+
+      {parsed.errors.length > 0 && (
+        <div className="rounded-lg border border-rose-200 bg-rose-50 px-2 py-1 text-xs text-rose-700 grid gap-0.5">
+          {parsed.errors.map((err, i) => (
+            <div key={i}>
+              Line {err.line}: {err.message}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {parsed.grid.length > 0 && (
+        <>
+          <div className="text-xs text-slate-500">
+            Preview • {parsed.grid.length} row(s)
+          </div>
+          <ScheduleView
+            template={{ grid: parsed.grid, notes: [] }}
+            classification={classification}
+            activeWeek={week}
+            weekStart={weekStart}
+            placements={[]}
+            tasks={[]}
+            weekOverrides={weekOverrides}
+            readOnly
+          />
+          <button
+            onClick={() => onReplace(parsed.grid)}
+            className="px-3 py-2 rounded-xl bg-slate-900 text-white text-sm"
+          >
+            Replace {WEEK_LABELS[week]} rows
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* --------------------------------------------------
+   ChunkerView
+-------------------------------------------------- */
+function ChunkerView({ tasks = [], courses = [], onCreateTasks }) {
+  const [title, setTitle] = useState("");
+  const [courseId, setCourseId] = useState(undefined);
+  const [dueDate, setDueDate] = useState("");
+  const [totalHours, setTotalHours] = useState(4);
+  const [type, setType] = useState("essay");
+  const [chunks, setChunks] = useState([]);
+  const typeHistory = estimateAccuracy(tasks, (t) => t.chunkType ?? null);
+  const suggestedMin = suggestEstimate(
+    typeHistory.find((g) => g.key === type),
+    Math.round(totalHours * 60)
+  );
+
+  function generate() {
+    const tpl = CHUNK_TEMPLATES[type];
+    const totalMin = Math.round(totalHours * 60);
+    const newChunks = tpl.map((c) => ({
+      title: `${title}: ${c.title}`,
+      estimatedMin: Math.max(15, Math.round(totalMin * c.pct)),
+      dueDate,
+      priority: "medium",
+      status: "todo",
+      id: crypto.randomUUID(),
+      chunkType: type,
+      ...(courseId ? { courseId } : {}),
+    }));
+    setChunks(newChunks);
+  }
+
+  function updateChunk(id, patch) {
+    setChunks((prev) => prev.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  }
+
+  return (
+    <div className="mt-5 grid md:grid-cols-2 gap-4">
+      <div className="bg-white rounded-2xl border border-slate-200 p-4">
+        <h2 className="font-semibold text-lg">Project Chunker</h2>
+        <div className="mt-3 grid gap-2">
+          <label className="text-xs font-medium text-slate-600">Project title</label>
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="px-3 py-2 rounded-xl border border-slate-200"
+            placeholder="e.g., History essay"
+          />
+
+          <label className="text-xs font-medium text-slate-600 mt-2">Due date</label>
+          <input
+            type="date"
+            value={dueDate || ""}
+            onChange={(e) => setDueDate(e.target.value)}
+            className="px-3 py-2 rounded-xl border border-slate-200"
+          />
+
+          <label className="text-xs font-medium text-slate-600 mt-2">Total estimated time (hours)</label>
+          <input
+            type="number"
+            min={0.5}
+            step={0.5}
+            value={totalHours}
+            onChange={(e) => setTotalHours(Number(e.target.value))}
+            className="px-3 py-2 rounded-xl border border-slate-200"
+          />
+          {suggestedMin && (
+            <SuggestedEstimate
+              course={CHUNK_TYPE_LABELS[type]}
+              minutes={suggestedMin}
+              onUse={() => setTotalHours(Math.round(suggestedMin / 30) / 2)}
+            />
           )}
 
-          {view === "tasks" && (
-            <motion.div
-              key="tasks"
-              initial={{ opacity: 0, y: 10 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: -10 }}
+          <label className="text-xs font-medium text-slate-600 mt-2">Project type</label>
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="px-3 py-2 rounded-xl border border-slate-200"
+          >
+            {Object.entries(CHUNK_TYPE_LABELS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          {courses.length > 0 && (
+            <>
+              <label className="text-xs font-medium text-slate-600 mt-2">Course</label>
+              <CourseSelect courses={courses} value={courseId} onChange={setCourseId} />
+            </>
+          )}
+
+          <button
+            onClick={generate}
+            className="mt-3 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-slate-900 text-white"
+          >
+            Generate chunks
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl border border-slate-200 p-4">
+        <h2 className="font-semibold text-lg">Chunks (editable)</h2>
+        {chunks.length === 0 ? (
+          <div className="mt-6 text-sm text-slate-500">Generate chunks to see them here.</div>
+        ) : (
+          <div className="mt-3 grid gap-2">
+            {chunks.map((c, i) => (
+              <div key={c.id} className="rounded-xl border border-slate-200 px-3 py-2 grid gap-2">
+                <div className="text-xs text-slate-500">Chunk {i + 1}</div>
+                <input
+                  value={c.title}
+                  onChange={(e) => updateChunk(c.id, { title: e.target.value })}
+                  className="px-2 py-1 rounded-lg border border-slate-200 text-sm"
+                />
+                <div className="flex gap-2 items-center">
+                  <label className="text-xs text-slate-600">Minutes</label>
+                  <input
+                    type="number"
+                    min={10}
+                    step={5}
+                    value={c.estimatedMin}
+                    onChange={(e) => updateChunk(c.id, { estimatedMin: Number(e.target.value) })}
+                    className="w-24 px-2 py-1 rounded-lg border border-slate-200 text-sm"
+                  />
+                  <label className="text-xs text-slate-600">Due</label>
+                  <input
+                    type="date"
+                    value={c.dueDate || ""}
+                    onChange={(e) => updateChunk(c.id, { dueDate: e.target.value })}
+                    className="px-2 py-1 rounded-lg border border-slate-200 text-sm"
+                  />
+                </div>
+              </div>
+            ))}
+            <button
+              onClick={() => {
+                onCreateTasks(chunks);
+                setChunks([]);
+              }}
+              className="mt-2 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-indigo-600 text-white"
             >
-              <TasksView
-                tasks={tasks}
-                addTask={addTask}
-                updateTask={updateTask}
-                removeTask={removeTask}
-                toggleDone={toggleDone}
-                onAutoScheduleTask={requestAutoScheduleTask}
-              />
-            </motion.div>
-          )}
+              Add chunks to Tasks
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
 
-          {view === "chunker" && (
-            <motion.div
-              key="chunker"
-              initial={{ opacity: 0, y: 10 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: -10 }}
-            >
-              <ChunkerView
-                onCreateTasks={(newTasks) =>
-                  setTasks((prev) => [...newTasks, ...prev])
-                }
-              />
-            </motion.div>
-          )}
-        </AnimatePresence>
-      </main>
+/* --------------------------------------------------
+   DashboardView
+-------------------------------------------------- */
+function DashboardView({
+  tasks,
+  placements,
+  commitments = [],
+  templates,
+  freeOverrides,
+  week1StartSunday,
+  fallbackWeek,
+}) {
+  const today = todayISO();
+  const thisSunday = sundayOf(today);
+  const presets = [
+    { label: "This week", from: thisSunday, to: addDays(thisSunday, 6) },
+    { label: "Next week", from: addDays(thisSunday, 7), to: addDays(thisSunday, 13) },
+    { label: "Next 14 days", from: today, to: addDays(today, 13) },
+  ];
+  const [range, setRange] = useState(presets[0]);
+  // An end before the start still means the days in between
+  const swapped = range.from > range.to;
+  const from = swapped ? range.to : range.from;
+  const to = swapped ? range.from : range.to;
+  const dates = datesBetween(from, to);
+  const days = dailyLoad({
+    dates,
+    templates,
+    freeOverrides,
+    placements,
+    commitments,
+    week1StartSunday,
+    fallbackWeek,
+  });
+  const summary = workloadSummary({
+    tasks,
+    placements,
+    from,
+    to,
+    today,
+  });
+  const trend = completionTrend(tasks, dates);
+  const freeMin = days.reduce((sum, d) => sum + d.freeMin, 0);
+  const scheduledMin = days.reduce((sum, d) => sum + d.scheduledMin, 0);
+  const maxLogged = Math.max(1, ...trend.map((d) => d.loggedMin));
 
-      <FloatingActions setView={setView} />
+  const stats = [
+    { label: "Free", value: `${freeMin} min` },
+    { label: "Scheduled", value: `${scheduledMin} min` },
+    { label: "Unscheduled work", value: `${summary.unscheduledMin} min` },
+    { label: "Overdue", value: summary.overdue, alert: summary.overdue > 0 },
+    { label: `Due in ${DUE_SOON_DAYS} days`, value: summary.dueSoon },
+  ];
 
-      {/* Auto-schedule picker modal */}
-      <AnimatePresence>
-        {autoPick && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
-            onClick={() => setAutoPick(null)}
-          >
-            <motion.div
-              initial={{ scale: 0.98, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.98, opacity: 0 }}
-              className="bg-white w-full max-w-md rounded-2xl p-4 border border-slate-200 shadow-xl"
-              onClick={(e) => e.stopPropagation()}
+  return (
+    <div className="mt-5 grid gap-4">
+      <div className="bg-white rounded-2xl border border-slate-200 p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="font-semibold text-lg flex items-center gap-2">
+            <Gauge className="h-5 w-5" /> Workload
+          </h2>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {presets.map((p) => (
+              <button
+                key={p.label}
+                onClick={() => setRange(p)}
+                className={`px-3 py-1.5 rounded-lg border ${
+                  range.from === p.from && range.to === p.to
+                    ? "bg-slate-900 text-white border-slate-900"
+                    : "border-slate-200 hover:bg-slate-50"
+                }`}
+              >
+                {p.label}
+              </button>
+            ))}
+            <input
+              type="date"
+              value={range.from}
+              onChange={(e) =>
+                e.target.value && setRange((r) => ({ ...r, from: e.target.value }))
+              }
+              className="px-2 py-1 rounded-lg border border-slate-200"
+            />
+            <span className="text-slate-500">to</span>
+            <input
+              type="date"
+              value={range.to}
+              onChange={(e) =>
+                e.target.value && setRange((r) => ({ ...r, to: e.target.value }))
+              }
+              className="px-2 py-1 rounded-lg border border-slate-200"
+            />
+          </div>
+        </div>
+        {swapped && (
+          <div className="mt-1 text-xs text-amber-700">
+            The end date is before the start date; showing {formatShortDate(from)}{" "}
+            to {formatShortDate(to)}.
+          </div>
+        )}
+        {dates.length === MAX_RANGE_DAYS && to > dates[dates.length - 1] && (
+          <div className="mt-1 text-xs text-amber-700">
+            Showing the first {MAX_RANGE_DAYS} days of the range.
+          </div>
+        )}
+
+        <div className="mt-4 grid grid-cols-2 md:grid-cols-5 gap-2">
+          {stats.map((st) => (
+            <div
+              key={st.label}
+              className={`rounded-xl border p-3 ${
+                st.alert ? "border-rose-200 bg-rose-50" : "border-slate-200"
+              }`}
             >
-              <div className="flex items-center justify-between">
-                <div className="font-semibold text-lg">Auto-schedule task</div>
-                <button
-                  onClick={() => setAutoPick(null)}
-                  className="p-1 rounded hover:bg-slate-100"
-                  title="Close"
-                >
-                  <X className="h-4 w-4" />
-                </button>
+              <div className="text-xs text-slate-600">{st.label}</div>
+              <div className={`text-lg font-semibold ${st.alert ? "text-rose-700" : ""}`}>
+                {st.value}
               </div>
+            </div>
+          ))}
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Unscheduled work, overdue and due-soon count open tasks due in this
+          range; {summary.done} of {summary.total} are done.
+        </div>
+      </div>
 
-              <div className="mt-3 grid gap-3">
-                <div className="grid gap-1">
-                  <label className="text-xs font-medium text-slate-600">
-                    Week
-                  </label>
-                  <select
-                    value={autoPick.week}
-                    onChange={(e) =>
-                      setAutoPick((p) => ({ ...p, week: e.target.value }))
-                    }
-                    className="px-3 py-2 rounded-xl border border-slate-200"
-                  >
-                    <option value="week1">Week 1</option>
-                    <option value="week2">Week 2</option>
-                  </select>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="bg-white rounded-2xl border border-slate-200 p-4">
+          <div className="font-semibold">Per day</div>
+          <div className="text-xs text-slate-600">
+            Scheduled vs free minutes in FREE blocks.
+          </div>
+          <div className="mt-3 grid gap-2">
+            {days.map((d) => {
+              const over = d.scheduledMin > d.freeMin;
+              const pct = d.freeMin
+                ? Math.min(100, Math.round((d.scheduledMin / d.freeMin) * 100))
+                : d.scheduledMin
+                ? 100
+                : 0;
+              return (
+                <div key={d.date} className="text-sm">
+                  <div className="flex items-center justify-between">
+                    <span className={d.date === today ? "font-semibold" : ""}>
+                      {d.day.slice(0, 3)} {formatShortDate(d.date)}
+                      <span className="ml-1 text-xs text-slate-500">
+                        {WEEK_LABELS[d.week]}
+                      </span>
+                    </span>
+                    <span className={`text-xs ${over ? "text-rose-700" : "text-slate-600"}`}>
+                      {d.scheduledMin} / {d.freeMin} min
+                      {over && " • overloaded"}
+                    </span>
+                  </div>
+                  <div className="mt-1 h-2 rounded-full bg-slate-100 overflow-hidden">
+                    <div
+                      className={`h-full ${over ? "bg-rose-500" : "bg-blue-500"}`}
+                      style={{ width: `${pct}%` }}
+                    />
+                  </div>
                 </div>
+              );
+            })}
+          </div>
+        </div>
 
-                <div className="grid gap-1">
-                  <label className="text-xs font-medium text-slate-600">
-                    Starting day
-                  </label>
-                  <select
-                    value={autoPick.day}
-                    onChange={(e) =>
-                      setAutoPick((p) => ({ ...p, day: e.target.value }))
-                    }
-                    className="px-3 py-2 rounded-xl border border-slate-200"
-                  >
-                    {DAYS.map((d) => (
-                      <option key={d} value={d}>
-                        {d}
-                      </option>
-                    ))}
-                  </select>
+        <div className="bg-white rounded-2xl border border-slate-200 p-4">
+          <div className="font-semibold">Completion trend</div>
+          <div className="text-xs text-slate-600">
+            Tasks marked done and minutes logged each day.
+          </div>
+          <div className="mt-3 grid gap-2">
+            {trend.map((d) => (
+              <div key={d.date} className="text-sm flex items-center gap-2">
+                <span className="w-20 shrink-0 text-xs text-slate-600">
+                  {formatShortDate(d.date)}
+                </span>
+                <div className="flex-1 h-2 rounded-full bg-slate-100 overflow-hidden">
+                  <div
+                    className="h-full bg-emerald-500"
+                    style={{ width: `${Math.round((d.loggedMin / maxLogged) * 100)}%` }}
+                  />
                 </div>
+                <span className="w-28 shrink-0 text-right text-xs text-slate-600">
+                  {d.loggedMin} min • {d.completed} done
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-                <div className="flex gap-2 pt-2">
-                  <button
-                    onClick={() => setAutoPick(null)}
-                    className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={() => {
-                      const existing = placements.filter(
-                        (p) =>
-                          p.taskId === autoPick.taskId &&
-                          (p.week || activeWeek) === autoPick.week
-                      );
+/* --------------------------------------------------
+   PlanPreview
+-------------------------------------------------- */
+function PlanPreview({ preview, tasks, onApply, onDiscard }) {
+  const { diff, unfit } = preview;
+  const taskById = Object.fromEntries(tasks.map((t) => [t.id, t]));
+  const describe = (p) =>
+    `${p.date ? formatShortDate(p.date) : `every ${WEEK_LABELS[p.week]}`} • ${
+      p.day
+    } ${p.start}–${p.end}`;
+  const unfitIds = Object.keys(unfit).filter((id) => unfit[id] > 0);
+  const changes = diff.added.length + diff.moved.length + diff.removed.length;
 
-                      if (existing.length > 0) {
-                        const task = tasks.find(
-                          (t) => t.id === autoPick.taskId
-                        );
-                        const ok = window.confirm(
-                          `"${task?.title ?? "This task"}" already has scheduled time in ${
-                            autoPick.week === "week1" ? "Week 1" : "Week 2"
-                          }. Overwrite its placements?`
-                        );
-                        if (!ok) return;
+  const sections = [
+    { key: "added", title: "Added", tone: "text-emerald-700", items: diff.added },
+    { key: "moved", title: "Moved", tone: "text-amber-700", items: diff.moved },
+    { key: "removed", title: "Removed", tone: "text-rose-700", items: diff.removed },
+  ];
 
-                        setPlacements((prev) =>
-                          prev.filter(
-                            (p) =>
-                              !(
-                                p.taskId === autoPick.taskId &&
-                                (p.week || activeWeek) === autoPick.week
-                              )
-                          )
-                        );
-                      }
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+      onClick={onDiscard}
+    >
+      <motion.div
+        initial={{ scale: 0.98, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.98, opacity: 0 }}
+        className="bg-white w-full max-w-lg rounded-2xl p-4 border border-slate-200 shadow-xl max-h-[85vh] overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="font-semibold text-lg">
+            {preview.title || "Plan my week"}
+          </div>
+          <button
+            onClick={onDiscard}
+            className="p-1 rounded hover:bg-slate-100"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
 
-                      autoScheduleTaskInternal(
-                        autoPick.taskId,
-                        autoPick.week,
-                        autoPick.day
-                      );
-                      setAutoPick(null);
-                    }}
-                    className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
-                  >
-                    Schedule
-                  </button>
+        <div className="mt-1 text-xs text-slate-600">
+          {diff.added.length} added • {diff.moved.length} moved •{" "}
+          {diff.removed.length} removed • {diff.unchanged.length} unchanged
+        </div>
+
+        {changes === 0 && (
+          <div className="mt-4 text-sm text-slate-500">
+            Nothing to change — your schedule already matches the plan.
+          </div>
+        )}
+
+        {sections.map(
+          (sec) =>
+            sec.items.length > 0 && (
+              <div key={sec.key} className="mt-4">
+                <div className={`text-xs font-semibold ${sec.tone}`}>
+                  {sec.title}
+                </div>
+                <div className="mt-1 grid gap-1">
+                  {sec.items.map((item) => {
+                    const p = sec.key === "moved" ? item.to : item;
+                    return (
+                      <div
+                        key={p.id}
+                        className="rounded-lg border border-slate-200 px-2 py-1 text-xs"
+                      >
+                        <div className="font-medium">
+                          {taskById[p.taskId]?.title ?? "Untitled task"}
+                        </div>
+                        <div className="text-slate-600">
+                          {sec.key === "moved"
+                            ? `${describe(item.from)} → ${describe(item.to)}`
+                            : describe(p)}
+                        </div>
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
-            </motion.div>
-          </motion.div>
+            )
         )}
-      </AnimatePresence>
-    </div>
+
+        {unfitIds.length > 0 && (
+          <div className="mt-4 rounded-xl bg-rose-50 border border-rose-200 px-3 py-2 text-xs text-rose-700">
+            <div className="font-semibold">Cannot fit before due date</div>
+            {unfitIds.map((id) => (
+              <div key={id}>
+                {taskById[id]?.title ?? "Untitled task"} • {unfit[id]} min short
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-4 flex gap-2">
+          <button
+            onClick={onDiscard}
+            className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
+          >
+            Discard
+          </button>
+          <button
+            onClick={onApply}
+            className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
+          >
+            Apply plan
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
   );
 }
 
 /* --------------------------------------------------
-   Header
--------------------------------------------------- */
-function Header({
-  activeWeek,
-  setActiveWeek,
-  currentWeekKey,
-  view,
-  setView,
-  week1StartSunday,
-  setWeek1StartSunday,
-  onUpload,
-  onExport,
-}) {
-  return (
-    <div className="sticky top-0 z-40 bg-white/90 backdrop-blur border-b border-slate-200">
-      <div className="max-w-6xl mx-auto px-4 py-3 flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
-        <div className="flex items-center gap-3">
-          <div className="h-9 w-9 rounded-2xl bg-slate-900 text-white flex items-center justify-center font-bold">
-            M
-          </div>
-          <div>
-            <div className="font-semibold">Manara Weekly Scheduler</div>
-            <div className="text-xs text-slate-600">
-              Sunday-first • Alternating Week 1 / Week 2
-            </div>
+   CatchUpDialog
+-------------------------------------------------- */
+function CatchUpDialog({ catchUp, tasks, onApply, onClose }) {
+  const taskById = Object.fromEntries(tasks.map((t) => [t.id, t]));
+  const [selected, setSelected] = useState(
+    () =>
+      new Set((catchUp.plan || []).filter((m) => m.to.length > 0).map((m) => m.placement.id))
+  );
+  const describe = (p) =>
+    `${formatShortDate(p.date)} • ${p.day} ${p.start}–${p.end}`;
+  const titleOf = (p) => taskById[p.taskId]?.title || "Untitled";
+  const { summary } = catchUp;
+
+  function toggle(id) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.98, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.98, opacity: 0 }}
+        className="bg-white w-full max-w-lg rounded-2xl p-4 border border-slate-200 shadow-xl max-h-[85vh] overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="font-semibold text-lg">
+            {summary ? "Catch-up summary" : "Missed study blocks"}
           </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-slate-100"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
         </div>
 
-        <div className="flex flex-wrap items-center gap-2">
-          <div className="flex items-center gap-1 bg-slate-100 rounded-xl p-1">
-            <button
-              onClick={() => setActiveWeek("week1")}
-              className={`px-3 py-1.5 rounded-lg text-sm ${
-                activeWeek === "week1" ? "bg-white shadow" : "text-slate-700"
-              }`}
-            >
-              Week 1{" "}
-              {currentWeekKey === "week1" && (
-                <span className="text-xs text-emerald-600">(current)</span>
-              )}
-            </button>
-            <button
-              onClick={() => setActiveWeek("week2")}
-              className={`px-3 py-1.5 rounded-lg text-sm ${
-                activeWeek === "week2" ? "bg-white shadow" : "text-slate-700"
-              }`}
-            >
-              Week 2{" "}
-              {currentWeekKey === "week2" && (
-                <span className="text-xs text-emerald-600">(current)</span>
+        {summary ? (
+          <div className="mt-3 grid gap-3 text-sm">
+            {summary.moved.length === 0 &&
+              summary.stuck.length === 0 &&
+              summary.kept.length === 0 && (
+                <div className="text-slate-500">Nothing to catch up.</div>
               )}
-            </button>
-          </div>
-
-          <div className="flex items-center gap-1 bg-slate-100 rounded-xl p-1">
-            <button
-              onClick={() => setView("schedule")}
-              className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
-                view === "schedule" ? "bg-white shadow" : "text-slate-700"
-              }`}
-            >
-              <CalendarDays className="h-4 w-4" />
-              Schedule
-            </button>
-            <button
-              onClick={() => setView("tasks")}
-              className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
-                view === "tasks" ? "bg-white shadow" : "text-slate-700"
-              }`}
-            >
-              <ListTodo className="h-4 w-4" />
-              Tasks
-            </button>
+            {summary.moved.length > 0 && (
+              <div>
+                <div className="text-xs font-semibold text-emerald-700">
+                  Moved ({summary.moved.length})
+                </div>
+                {summary.moved.map((m) => (
+                  <div key={m.placement.id} className="mt-1">
+                    <div className="font-medium">{titleOf(m.placement)}</div>
+                    <div className="text-xs text-slate-600">
+                      {describe(m.placement)} → {m.to.map(describe).join(", ")}
+                      {m.unfitMin > 0 && ` • ${m.unfitMin} min didn't fit`}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {summary.stuck.length > 0 && (
+              <div>
+                <div className="text-xs font-semibold text-rose-700">
+                  No free time before the due date ({summary.stuck.length})
+                </div>
+                {summary.stuck.map((m) => (
+                  <div key={m.placement.id} className="mt-1 text-xs text-slate-600">
+                    {titleOf(m.placement)} • {describe(m.placement)}
+                  </div>
+                ))}
+              </div>
+            )}
+            {summary.kept.length > 0 && (
+              <div>
+                <div className="text-xs font-semibold text-slate-600">
+                  Left in place ({summary.kept.length})
+                </div>
+                {summary.kept.map((p) => (
+                  <div key={p.id} className="mt-1 text-xs text-slate-600">
+                    {titleOf(p)} • {describe(p)}
+                  </div>
+                ))}
+              </div>
+            )}
             <button
-              onClick={() => setView("chunker")}
-              className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
-                view === "chunker" ? "bg-white shadow" : "text-slate-700"
-              }`}
+              onClick={onClose}
+              className="mt-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
             >
-              <Wand2 className="h-4 w-4" />
-              Chunker
+              Done
             </button>
           </div>
+        ) : (
+          <>
+            <div className="mt-1 text-xs text-slate-600">
+              These blocks passed with no time logged. Tick the ones to move
+              into the next free time before their due date; the rest stay
+              where they are. Closing asks again later.
+            </div>
+            <div className="mt-3 grid gap-2">
+              {catchUp.plan.map((m) => (
+                <label
+                  key={m.placement.id}
+                  className="flex items-start gap-2 rounded-xl border border-slate-200 px-3 py-2 text-sm"
+                >
+                  <input
+                    type="checkbox"
+                    className="mt-1"
+                    checked={selected.has(m.placement.id)}
+                    disabled={m.to.length === 0}
+                    onChange={() => toggle(m.placement.id)}
+                  />
+                  <div>
+                    <div className="font-medium">{titleOf(m.placement)}</div>
+                    <div className="text-xs text-slate-600">
+                      Missed {describe(m.placement)}
+                    </div>
+                    <div
+                      className={`text-xs ${
+                        m.to.length ? "text-emerald-700" : "text-rose-700"
+                      }`}
+                    >
+                      {m.to.length
+                        ? `→ ${m.to.map(describe).join(", ")}${
+                            m.unfitMin > 0 ? ` • ${m.unfitMin} min won't fit` : ""
+                          }`
+                        : "No free time before the due date"}
+                    </div>
+                  </div>
+                </label>
+              ))}
+            </div>
+            <div className="mt-3 flex gap-2">
+              <button
+                onClick={() => onApply(new Set())}
+                className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
+              >
+                Leave all
+              </button>
+              <button
+                onClick={() => onApply(selected)}
+                disabled={selected.size === 0}
+                className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white disabled:opacity-40"
+              >
+                Move {selected.size} block(s)
+              </button>
+            </div>
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
 
-          <label className="cursor-pointer inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-slate-900 text-white text-sm">
-            <Upload className="h-4 w-4" /> Upload templates JSON
-            <input
-              type="file"
-              accept="application/json"
-              className="hidden"
-              onChange={onUpload}
-            />
-          </label>
+/* --------------------------------------------------
+   ImportReport
+-------------------------------------------------- */
+function ImportReport({ report, onImport, onCancel }) {
+  const { errors, warnings, templates, fileName } = report;
+  const groups = [
+    {
+      key: "errors",
+      title: "Errors",
+      titleTone: "text-rose-700",
+      boxTone: "border-rose-200 bg-rose-50",
+      items: errors,
+    },
+    {
+      key: "warnings",
+      title: "Warnings",
+      titleTone: "text-amber-700",
+      boxTone: "border-amber-200 bg-amber-50",
+      items: warnings,
+    },
+  ];
 
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+      onClick={onCancel}
+    >
+      <motion.div
+        initial={{ scale: 0.98, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.98, opacity: 0 }}
+        className="bg-white w-full max-w-lg rounded-2xl p-4 border border-slate-200 shadow-xl max-h-[85vh] overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="font-semibold text-lg">Check templates import</div>
           <button
-            onClick={onExport}
-            className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white border border-slate-200 text-sm"
+            onClick={onCancel}
+            className="p-1 rounded hover:bg-slate-100"
+            title="Close"
           >
-            <Download className="h-4 w-4" /> Export data
+            <X className="h-4 w-4" />
           </button>
+        </div>
+        <div className="mt-1 text-xs text-slate-600">
+          {fileName} • {errors.length} error(s) • {warnings.length} warning(s)
+        </div>
 
-          <div className="flex items-center gap-2 text-sm">
-            <span className="text-slate-600">Week 1 starts:</span>
-            <input
-              type="date"
-              value={week1StartSunday}
-              onChange={(e) => setWeek1StartSunday(e.target.value)}
-              className="px-2 py-1 rounded-lg border border-slate-200 bg-white"
-            />
+        {groups.map(
+          (g) =>
+            g.items.length > 0 && (
+              <div key={g.key} className="mt-4">
+                <div className={`text-xs font-semibold ${g.titleTone}`}>
+                  {g.title}
+                </div>
+                <div className="mt-1 grid gap-1">
+                  {g.items.map((issue, i) => (
+                    <div
+                      key={i}
+                      className={`rounded-lg border px-2 py-1 text-xs ${g.boxTone}`}
+                    >
+                      {describeIssue(issue) && (
+                        <div className="font-medium">{describeIssue(issue)}</div>
+                      )}
+                      <div className="text-slate-700">{issue.message}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )
+        )}
+
+        {errors.length > 0 && templates && (
+          <div className="mt-4 text-xs text-slate-500">
+            Rows, labels and rules with errors are left out if you import
+            anyway.
           </div>
+        )}
+
+        <div className="mt-4 flex gap-2">
+          <button
+            onClick={onCancel}
+            className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
+          >
+            Cancel
+          </button>
+          {templates && (
+            <button
+              onClick={onImport}
+              className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
+            >
+              {errors.length > 0 ? "Import anyway" : "Import"}
+            </button>
+          )}
         </div>
-      </div>
-    </div>
+      </motion.div>
+    </motion.div>
   );
 }
 
 /* --------------------------------------------------
-   ScheduleView
+   BackupImportDialog
 -------------------------------------------------- */
-function ScheduleView({
-  template,
-  activeWeek,
-  placements,
-  tasks,
-  weekOverrides,
-  onToggleFreeBlock,
-  onMovePlacement,
-  onQuickAdd,
-  onDeletePlacement,
+function BackupImportDialog({
+  pending,
+  current,
+  onChange,
+  onApply,
+  onCancel,
 }) {
-  const rows = template.grid || [];
-  const taskById = useMemo(
-    () => Object.fromEntries(tasks.map((t) => [t.id, t])),
-    [tasks]
+  const { data, fileName, mode, onConflict } = pending;
+  const {
+    templates,
+    courses,
+    tasks,
+    placements,
+    commitments,
+    freeOverrides,
+    week1StartSunday,
+    settings,
+  } = current;
+  // `current` is a new object on every render, so memoize on its fields
+  const { next, report } = useMemo(
+    () =>
+      planBackupImport(
+        {
+          templates,
+          courses,
+          tasks,
+          placements,
+          commitments,
+          freeOverrides,
+          week1StartSunday,
+          settings,
+        },
+        data,
+        mode,
+        onConflict
+      ),
+    [
+      templates,
+      courses,
+      tasks,
+      placements,
+      commitments,
+      freeOverrides,
+      week1StartSunday,
+      settings,
+      data,
+      mode,
+      onConflict,
+    ]
   );
 
-  const placementsBySlot = useMemo(() => {
-    const map = {};
-    for (const p of placements) {
-      const week = p.week || activeWeek;
-      if (week !== activeWeek) continue;
-      const key = `${p.day}_${p.start}_${p.end}`;
-      if (!map[key]) map[key] = [];
-      map[key].push(p);
-    }
-    return map;
-  }, [placements, activeWeek]);
-
-  const [quickAdd, setQuickAdd] = useState(null);
-  const slotKey = (day, start, end) => `${day}_${start}_${end}`;
-
-  function isFree(day, start, end, label) {
-    const key = slotKey(day, start, end);
-    if (weekOverrides?.[key]) return true;
-    return inferBlockType(label) === BLOCK_TYPE.FREE;
-  }
-
-  function onDragStart(e, placementId) {
-    e.dataTransfer.setData("text/placementId", placementId);
-    e.dataTransfer.effectAllowed = "move";
-  }
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+      onClick={onCancel}
+    >
+      <motion.div
+        initial={{ scale: 0.98, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.98, opacity: 0 }}
+        className="bg-white w-full max-w-lg rounded-2xl p-4 border border-slate-200 shadow-xl max-h-[85vh] overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="font-semibold text-lg">Import backup</div>
+          <button
+            onClick={onCancel}
+            className="p-1 rounded hover:bg-slate-100"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <div className="mt-1 text-xs text-slate-600">
+          {fileName} • {(data.tasks || []).length} task(s) •{" "}
+          {(data.placements || []).length} placement(s)
+        </div>
 
-  function onDropToCell(e, day, start, end, label) {
-    e.preventDefault();
-    const placementId = e.dataTransfer.getData("text/placementId");
-    if (!placementId) return;
-    if (!isFree(day, start, end, label)) return;
-    onMovePlacement(placementId, { week: activeWeek, day, start, end });
-  }
+        <div className="mt-3 grid gap-3">
+          <div className="grid gap-1">
+            <label className="text-xs font-medium text-slate-600">Mode</label>
+            <select
+              value={mode}
+              onChange={(e) => onChange({ mode: e.target.value })}
+              className="px-3 py-2 rounded-xl border border-slate-200"
+            >
+              <option value="merge">Merge into my data</option>
+              <option value="replace">Replace everything</option>
+            </select>
+          </div>
 
-  function openQuickAdd(slot) {
-    setQuickAdd({
-      slot,
-      title: "",
-      dueDate: "",
-      estimatedMin: slot.minutes || 60,
-      priority: "medium",
-    });
-  }
+          {mode === "merge" && (
+            <div className="grid gap-1">
+              <label className="text-xs font-medium text-slate-600">
+                When a task differs
+              </label>
+              <select
+                value={onConflict}
+                onChange={(e) => onChange({ onConflict: e.target.value })}
+                className="px-3 py-2 rounded-xl border border-slate-200"
+              >
+                <option value="mine">Keep my version</option>
+                <option value="backup">Use the backup’s version</option>
+              </select>
+            </div>
+          )}
 
-  return (
-    <div className="mt-5 grid gap-4">
-      <div className="bg-white rounded-2xl border border-slate-200 p-4">
-        <div className="flex items-center justify-between">
-          <h2 className="font-semibold text-lg">Weekly Schedule</h2>
-          <div className="text-xs text-slate-600 flex items-center gap-2">
-            <span className="inline-flex items-center gap-1">
-              <span className="h-2.5 w-2.5 rounded bg-slate-200" />
-              Fixed
-            </span>
-            <span className="inline-flex items-center gap-1">
-              <span className="h-2.5 w-2.5 rounded bg-emerald-100 border border-emerald-200" />
-              Free (incl. Study Hall)
-            </span>
-            <span className="inline-flex items-center gap-1">
-              <span className="h-2.5 w-2.5 rounded bg-indigo-100 border border-indigo-200" />
-              Scheduled Task
-            </span>
+          <div className="rounded-xl bg-slate-50 border border-slate-200 px-3 py-2 text-xs text-slate-700 grid gap-0.5">
+            <div>
+              {report.tasksAdded} task(s){" "}
+              {mode === "replace" ? "restored" : "added"}
+              {mode === "merge" &&
+                ` • ${report.tasksUnchanged} already up to date`}
+            </div>
+            <div>{report.placementsAdded} placement(s) added</div>
+            {report.invalidPlacements > 0 && (
+              <div className="text-amber-700">
+                {report.invalidPlacements} placement(s) with an invalid day or
+                time skipped
+              </div>
+            )}
+            {report.templateErrors > 0 && (
+              <div className="text-amber-700">
+                {report.templateErrors} timetable error(s): those rows are left
+                out
+              </div>
+            )}
+            {mode === "replace" && (
+              <div className="text-rose-700">
+                Your current tasks, placements and timetable will be replaced.
+              </div>
+            )}
           </div>
-        </div>
 
-        <div className="mt-4 overflow-auto">
-          <div className="min-w-[900px]">
-            <div className="grid grid-cols-8 sticky top-0 bg-white z-10">
-              <div className="p-2 text-xs font-semibold text-slate-500">Time</div>
-              {DAYS.map((d) => (
-                <div key={d} className="p-2 text-xs font-semibold text-slate-700">
-                  {d}
+          {report.conflicts.length > 0 && (
+            <div className="rounded-xl bg-amber-50 border border-amber-200 px-3 py-2 text-xs text-amber-800">
+              <div className="font-semibold">
+                {report.conflicts.length} conflict(s) •{" "}
+                {onConflict === "backup" ? "using backup" : "keeping yours"}
+              </div>
+              {report.conflicts.map((c) => (
+                <div key={c.id}>
+                  {c.title} • {c.fields.join(", ")}
                 </div>
               ))}
             </div>
+          )}
 
-            {rows.map((r, idx) => {
-              const fixedRange = `${r.start}-${r.end}`;
-              const rowRange = parseRange(fixedRange);
+          {report.rejected.length > 0 && (
+            <div className="rounded-xl bg-rose-50 border border-rose-200 px-3 py-2 text-xs text-rose-700">
+              <div className="font-semibold">
+                {report.rejected.length} placement(s) rejected
+              </div>
+              They point to tasks that are not in the result:
+              {report.rejected.map((p) => (
+                <div key={p.id}>
+                  {p.date || WEEK_LABELS[p.week] || ""} {p.day} {p.start}–{p.end}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
 
-              return (
-                <div key={idx} className="grid grid-cols-8 border-t border-slate-100">
-                  <div className="p-2 text-xs text-slate-600 whitespace-nowrap">
-                    {fixedRange}
-                  </div>
+        <div className="mt-4 flex gap-2">
+          <button
+            onClick={onCancel}
+            className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(next)}
+            className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
+          >
+            {mode === "replace" ? "Replace everything" : "Merge"}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
 
-                  {DAYS.map((day) => {
-                    const label = r.days?.[day] ?? null;
-                    const key = slotKey(day, r.start, r.end);
+function CourseSelect({ courses, value, onChange }) {
+  return (
+    <select
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value || undefined)}
+      className="px-3 py-2 rounded-xl border border-slate-200"
+    >
+      <option value="">No course</option>
+      {courses.map((c) => (
+        <option key={c.id} value={c.id}>
+          {c.name}
+        </option>
+      ))}
+    </select>
+  );
+}
 
-                    const forcedFree = !!weekOverrides?.[key];
-                    const inferredType = inferBlockType(label);
-                    const cellFree = forcedFree || inferredType === BLOCK_TYPE.FREE;
+function CourseFilter({ courses, value, onChange }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs"
+      title="Show one course"
+    >
+      <option value="all">All courses</option>
+      {courses.map((c) => (
+        <option key={c.id} value={c.id}>
+          {c.name}
+        </option>
+      ))}
+      <option value="none">No course</option>
+    </select>
+  );
+}
 
-                    const ps = placementsBySlot[key] || [];
-                    const slot = {
-                      id: key,
-                      day,
-                      start: r.start,
-                      end: r.end,
-                      minutes: rowRange ? durationMin(rowRange) : 60,
-                    };
+function CoursesPanel({ courses, onAdd, onUpdate, onRemove }) {
+  const [name, setName] = useState("");
 
-                    return (
-                      <div key={day} className="p-1.5">
-                        <div
-                          onClick={() => {
-                            if (forcedFree) {
-                              onToggleFreeBlock(key);
-                              return;
-                            }
-                            if (cellFree) openQuickAdd(slot);
-                            else onToggleFreeBlock(key);
-                          }}
-                          onDragOver={(e) => {
-                            if (cellFree) e.preventDefault();
-                          }}
-                          onDrop={(e) => onDropToCell(e, day, r.start, r.end, label)}
-                          title={
-                            forcedFree
-                              ? "Click to undo forced-free"
-                              : cellFree
-                              ? "Click to add a task here"
-                              : "Click to mark as Free"
-                          }
-                          className={`min-h-[42px] rounded-lg px-2 py-1 text-xs border cursor-pointer transition ${
-                            cellFree
-                              ? "bg-emerald-50 border-emerald-200 hover:bg-emerald-100"
-                              : "bg-slate-50 border-slate-200 hover:bg-slate-100"
-                          }`}
-                        >
-                          {label && (
-                            <div className="font-medium whitespace-pre-wrap">{label}</div>
-                          )}
+  return (
+    <div className="mt-6 border-t border-slate-100 pt-4">
+      <h3 className="font-semibold">Courses</h3>
+      <div className="mt-2 grid gap-3">
+        {courses.map((c) => (
+          <div key={c.id} className="grid gap-1">
+            <div className="flex items-center gap-1">
+              <input
+                value={c.name}
+                onChange={(e) => onUpdate(c.id, { name: e.target.value })}
+                className="flex-1 px-2 py-1 rounded-lg border border-slate-200 text-sm"
+              />
+              <button
+                onClick={() => onRemove(c.id)}
+                className="p-1 rounded hover:bg-slate-100"
+                title="Delete course"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            </div>
+            <div className="flex items-center gap-1">
+              {Object.entries(COURSE_COLORS).map(([key, tone]) => (
+                <button
+                  key={key}
+                  onClick={() => onUpdate(c.id, { color: key })}
+                  className={`h-4 w-4 rounded-full ${tone.swatch} ${
+                    c.color === key ? "ring-2 ring-offset-1 ring-slate-400" : ""
+                  }`}
+                  title={key}
+                />
+              ))}
+            </div>
+            <input
+              value={(c.labels || []).join(", ")}
+              onChange={(e) =>
+                onUpdate(c.id, {
+                  labels: e.target.value.split(",").map((l) => l.trimStart()),
+                })
+              }
+              placeholder="Timetable labels, e.g. Block C"
+              className="px-2 py-1 rounded-lg border border-slate-200 text-xs"
+            />
+          </div>
+        ))}
+      </div>
+      <div className="mt-3 flex items-center gap-1">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g., Chemistry"
+          className="flex-1 px-2 py-1 rounded-lg border border-slate-200 text-sm"
+        />
+        <button
+          onClick={() => {
+            if (!name.trim()) return;
+            onAdd(name.trim());
+            setName("");
+          }}
+          className="inline-flex items-center gap-1 px-2 py-1 rounded-lg border border-slate-200 text-sm"
+        >
+          <Plus className="h-4 w-4" /> Add course
+        </button>
+      </div>
+    </div>
+  );
+}
 
-                          {cellFree && !label && (
-                            <div className="text-slate-400 italic">Free</div>
-                          )}
+const NO_REPEAT = {
+  freq: "none",
+  days: [],
+  week: "any",
+  every: 2,
+  until: "",
+};
 
-                          {forcedFree && inferredType !== BLOCK_TYPE.FREE && (
-                            <div className="text-[10px] text-emerald-700 mt-0.5">(forced free)</div>
-                          )}
+function RepeatFields({ repeat, onChange }) {
+  return (
+    <>
+      <label className="text-xs font-medium text-slate-600 mt-2">Repeat</label>
+      <select
+        value={repeat.freq}
+        onChange={(e) => onChange({ freq: e.target.value })}
+        className="px-3 py-2 rounded-xl border border-slate-200"
+      >
+        <option value="none">Doesn't repeat</option>
+        <option value="daily">Daily</option>
+        <option value="weekdays">On weekdays…</option>
+        <option value="interval">Every N days</option>
+      </select>
 
-                          {ps.length > 0 && (
-                            <div className="mt-1 grid gap-1">
-                              {ps.map((p) => {
-                                const t = taskById[p.taskId];
-                                if (!t) return null;
-                                const done = t.status === "done";
-                                return (
-                                  <div
-                                    key={p.id}
-                                    draggable
-                                    onDragStart={(e) => onDragStart(e, p.id)}
-                                    className={`bg-indigo-50 border border-indigo-200 rounded px-2 py-1 cursor-move group relative ${
-                                      done ? "opacity-60" : ""
-                                    }`}
-                                    title="Drag me to another free block"
-                                  >
-                                    <div className={`font-semibold pr-6 ${done ? "line-through" : ""}`}>
-                                      {t.title}
-                                    </div>
-                                    <div className={`text-[10px] text-slate-600 ${done ? "line-through" : ""}`}>
-                                      {p.start}–{p.end} • due {t.dueDate}
-                                    </div>
-                                    <button
-                                      onClick={(e) => {
-                                        e.stopPropagation();
-                                        onDeletePlacement(p.id);
-                                      }}
-                                      className="absolute top-1 right-1 opacity-0 group-hover:opacity-100 transition p-1 rounded hover:bg-indigo-100"
-                                      title="Remove from schedule"
-                                    >
-                                      <Trash2 className="h-3.5 w-3.5 text-indigo-700" />
-                                    </button>
-                                  </div>
-                                );
-                              })}
-                            </div>
-                          )}
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
+      {repeat.freq === "weekdays" && (
+        <>
+          <div className="flex flex-wrap gap-1">
+            {DAYS.map((d) => {
+              const on = repeat.days.includes(d);
+              return (
+                <button
+                  key={d}
+                  onClick={() =>
+                    onChange({
+                      days: on
+                        ? repeat.days.filter((x) => x !== d)
+                        : [...repeat.days, d],
+                    })
+                  }
+                  className={`px-2 py-1 rounded-lg border text-xs ${
+                    on
+                      ? "bg-indigo-600 border-indigo-600 text-white"
+                      : "border-slate-200"
+                  }`}
+                >
+                  {d.slice(0, 3)}
+                </button>
               );
             })}
           </div>
+          <select
+            value={repeat.week}
+            onChange={(e) => onChange({ week: e.target.value })}
+            className="px-3 py-2 rounded-xl border border-slate-200 text-sm"
+          >
+            <option value="any">Every week</option>
+            <option value="week1">Week 1 only</option>
+            <option value="week2">Week 2 only</option>
+          </select>
+        </>
+      )}
+
+      {repeat.freq === "interval" && (
+        <div className="flex items-center gap-2 text-sm">
+          Every
+          <input
+            type="number"
+            min={1}
+            value={repeat.every}
+            onChange={(e) => onChange({ every: Number(e.target.value) })}
+            className="w-20 px-3 py-2 rounded-xl border border-slate-200"
+          />
+          days
         </div>
-      </div>
+      )}
 
-      {template.notes?.length > 0 && (
-        <div className="bg-white rounded-2xl border border-slate-200 p-4">
-          <div className="flex items-center gap-2 font-semibold">
-            <Info className="h-4 w-4" /> Tues & Sat timing notes
-          </div>
-          <div className="mt-2 text-sm text-slate-700 flex flex-wrap gap-2">
-            {template.notes.map((n, i) => (
-              <span key={i} className="px-2 py-1 rounded-lg bg-slate-100 text-xs">
-                {n}
-              </span>
-            ))}
+      {repeat.freq !== "none" && (
+        <>
+          <label className="text-xs font-medium text-slate-600">Ends on</label>
+          <input
+            type="date"
+            value={repeat.until}
+            onChange={(e) => onChange({ until: e.target.value })}
+            className="px-3 py-2 rounded-xl border border-slate-200"
+          />
+          <div className="text-xs text-slate-500">
+            The due date above is the first occurrence. Each occurrence becomes
+            its own task.
           </div>
-        </div>
+        </>
       )}
+    </>
+  );
+}
 
-      <AnimatePresence>
-        {quickAdd && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
-            onClick={() => setQuickAdd(null)}
-          >
-            <motion.div
-              initial={{ scale: 0.98, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.98, opacity: 0 }}
-              className="bg-white w-full max-w-md rounded-2xl p-4 border border-slate-200 shadow-xl"
-              onClick={(e) => e.stopPropagation()}
-            >
-              <div className="font-semibold text-lg">
-                Add task to {quickAdd.slot.day} {quickAdd.slot.start}–{quickAdd.slot.end}
-              </div>
+function LoggedMinutes({ task }) {
+  const logged = actualMinutes(task);
+  const estimated = Number(task.estimatedMin) || 0;
+  const left = estimated - logged;
+  return (
+    <div className="text-xs text-slate-600">
+      {logged} min logged of {estimated} •{" "}
+      {left > 0 ? (
+        `${left} min left`
+      ) : (
+        <span className={left < 0 ? "text-amber-700" : "text-emerald-700"}>
+          {left < 0 ? `${-left} min over` : "on estimate"}
+        </span>
+      )}
+    </div>
+  );
+}
 
-              <div className="mt-3 grid gap-2">
-                <label className="text-xs font-medium text-slate-600">Task title</label>
-                <input
-                  value={quickAdd.title}
-                  onChange={(e) => setQuickAdd((q) => ({ ...q, title: e.target.value }))}
-                  className="px-3 py-2 rounded-xl border border-slate-200"
-                  placeholder="e.g., Chemistry homework"
-                />
+function SuggestedEstimate({ course, minutes, onUse }) {
+  return (
+    <div className="text-xs text-indigo-700 flex items-center gap-2">
+      Past {course} work suggests {minutes} min
+      <button onClick={onUse} className="underline">
+        Use
+      </button>
+    </div>
+  );
+}
 
-                <label className="text-xs font-medium text-slate-600 mt-1">Due date</label>
-                <input
-                  type="date"
-                  value={quickAdd.dueDate || ""}
-                  onChange={(e) => setQuickAdd((q) => ({ ...q, dueDate: e.target.value }))}
-                  className="px-3 py-2 rounded-xl border border-slate-200"
-                />
+/* --------------------------------------------------
+   EstimateHistoryDialog
+-------------------------------------------------- */
+function EstimateHistoryDialog({ tasks, courses, onClose }) {
+  const courseName = Object.fromEntries(courses.map((c) => [c.id, c.name]));
+  const sections = [
+    {
+      title: "By course",
+      rows: estimateAccuracy(tasks, (t) => t.courseId ?? "none").map((g) => ({
+        ...g,
+        label: g.key === "none" ? "No course" : courseName[g.key] || "Deleted course",
+      })),
+    },
+    {
+      title: "By Chunker type",
+      rows: estimateAccuracy(tasks, (t) => t.chunkType ?? null).map((g) => ({
+        ...g,
+        label: CHUNK_TYPE_LABELS[g.key] || g.key,
+      })),
+    },
+  ];
 
-                <label className="text-xs font-medium text-slate-600 mt-1">Estimated minutes</label>
-                <input
-                  type="number"
-                  min={10}
-                  step={5}
-                  value={quickAdd.estimatedMin}
-                  onChange={(e) =>
-                    setQuickAdd((q) => ({ ...q, estimatedMin: Number(e.target.value) }))
-                  }
-                  className="px-3 py-2 rounded-xl border border-slate-200"
-                />
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.98, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.98, opacity: 0 }}
+        className="bg-white w-full max-w-lg rounded-2xl p-4 border border-slate-200 shadow-xl max-h-[85vh] overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="font-semibold text-lg">Estimate history</div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-slate-100"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <div className="mt-1 text-xs text-slate-600">
+          Finished tasks with logged time. Suggestions appear once a course or
+          project type has two of them.
+        </div>
 
-                <label className="text-xs font-medium text-slate-600 mt-1">Priority</label>
-                <select
-                  value={quickAdd.priority}
-                  onChange={(e) => setQuickAdd((q) => ({ ...q, priority: e.target.value }))}
-                  className="px-3 py-2 rounded-xl border border-slate-200"
-                >
-                  <option value="low">Low</option>
-                  <option value="medium">Medium</option>
-                  <option value="high">High</option>
-                </select>
+        {sections.map((sec) => (
+          <div key={sec.title} className="mt-4">
+            <div className="text-xs font-semibold text-slate-600">{sec.title}</div>
+            {sec.rows.length === 0 ? (
+              <div className="mt-1 text-sm text-slate-500">Nothing logged yet.</div>
+            ) : (
+              <table className="mt-1 w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-slate-500 text-left">
+                    <th className="font-medium py-1"></th>
+                    <th className="font-medium py-1">Tasks</th>
+                    <th className="font-medium py-1">Estimated</th>
+                    <th className="font-medium py-1">Actual</th>
+                    <th className="font-medium py-1">Accuracy</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sec.rows.map((g) => (
+                    <tr key={g.key} className="border-t border-slate-100">
+                      <td className="py-1">{g.label}</td>
+                      <td className="py-1">{g.count}</td>
+                      <td className="py-1">{g.estimated} min</td>
+                      <td className="py-1">{g.actual} min</td>
+                      <td
+                        className={`py-1 ${
+                          Math.abs(g.ratio - 1) < 0.1
+                            ? "text-emerald-700"
+                            : "text-amber-700"
+                        }`}
+                      >
+                        {g.ratio > 1 ? "takes " : "needs "}
+                        {Math.round(g.ratio * 100)}%
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ))}
+      </motion.div>
+    </motion.div>
+  );
+}
 
-                <div className="mt-3 flex gap-2">
-                  <button
-                    onClick={() => setQuickAdd(null)}
-                    className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={() => {
-                      if (!quickAdd.title.trim()) return;
-                      onQuickAdd(quickAdd.slot, {
-                        title: quickAdd.title.trim(),
-                        dueDate: quickAdd.dueDate || new Date().toISOString().slice(0, 10),
-                        estimatedMin: quickAdd.estimatedMin,
-                        priority: quickAdd.priority,
-                      });
-                      setQuickAdd(null);
-                    }}
-                    className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
-                  >
-                    Add to this block
-                  </button>
-                </div>
-              </div>
-            </motion.div>
-          </motion.div>
-        )}
-      </AnimatePresence>
+function PlacedMinutes({ placed, estimated }) {
+  const tone =
+    placed >= estimated
+      ? "text-emerald-700"
+      : placed > 0
+      ? "text-amber-700"
+      : "text-slate-500";
+  return (
+    <div className={`text-xs ${tone}`}>
+      {placed} / {estimated} min placed
+    </div>
+  );
+}
+
+function CapacityWarning({ risk, taskById, onForceFree }) {
+  const late = risk.status === "late";
+  return (
+    <div
+      className={`mt-1 rounded-lg px-2 py-1 text-xs ${
+        late ? "bg-rose-50 text-rose-800" : "bg-amber-50 text-amber-800"
+      }`}
+    >
+      <div className="font-medium">
+        {late
+          ? `Can't fit before the due date • ${risk.missing} min missing`
+          : `At risk • only ${risk.spare} min to spare for ${risk.need} min still unscheduled`}
+      </div>
+      {risk.blocks.map((b) => (
+        <div key={`${b.date}_${b.key}`} className="flex items-center gap-1">
+          Free up {b.label || "empty block"} {b.start}–{b.end} on every{" "}
+          {WEEK_LABELS[b.week]} {b.day}, from {formatShortDate(b.date)} (
+          {b.minutes} min)
+          {onForceFree && (
+            <button
+              onClick={() => onForceFree(b.week, b.key)}
+              className="ml-1 underline"
+              title={`Every ${WEEK_LABELS[b.week]} ${b.day} ${b.start}–${b.end} becomes free`}
+            >
+              Force free
+            </button>
+          )}
+        </div>
+      ))}
+      {risk.lowerPriority.map((l) => (
+        <div key={l.taskId}>
+          Move {taskById[l.taskId]?.priority}-priority "
+          {taskById[l.taskId]?.title}" to free {l.minutes} min
+        </div>
+      ))}
     </div>
   );
 }
 
 /* --------------------------------------------------
-   TasksView
+   SettingsDialog
 -------------------------------------------------- */
-function TasksView({
-  tasks,
-  addTask,
-  updateTask,
-  removeTask,
-  toggleDone,
-  onAutoScheduleTask,
-}) {
-  const [form, setForm] = useState({
-    title: "",
-    dueDate: "",
-    estimatedMin: 60,
-    priority: "medium",
+function SettingsDialog({ settings, onSave, onCancel }) {
+  const [draft, setDraft] = useState({
+    ...settings,
+    maxSessionMin: settings.maxSessionMin ?? "",
+    reminders: { ...DEFAULT_REMINDERS, ...settings.reminders },
   });
-  const [editing, setEditing] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const min = Number(draft.minSessionMin);
+  const max = draft.maxSessionMin === "" ? null : Number(draft.maxSessionMin);
+  const lead = Number(draft.reminders.leadMin);
+  const error =
+    !Number.isFinite(min) || min < SNAP_MIN
+      ? `Minimum session must be at least ${SNAP_MIN} min.`
+      : max !== null && !(max >= min)
+      ? "Maximum session can't be shorter than the minimum."
+      : !Number.isFinite(lead) || lead < 0
+      ? "Remind me before a block needs 0 minutes or more."
+      : [draft.reminders.dueTime, draft.reminders.quietStart, draft.reminders.quietEnd].some(
+          (t) => !/^\d{2}:\d{2}$/.test(t)
+        )
+      ? "Reminder times must be HH:MM."
+      : null;
 
-  const upcoming = tasks.filter((t) => t.status !== "done").length;
+  function setReminder(patch) {
+    setDraft((d) => ({ ...d, reminders: { ...d.reminders, ...patch } }));
+  }
 
-  function openEdit(t) {
-    setEditing({ ...t });
+  // Turning reminders on asks the browser for permission first
+  function toggleReminders(on) {
+    setNotice(null);
+    if (!on) return setReminder({ enabled: false });
+    if (typeof Notification === "undefined") {
+      setNotice("This browser can't show notifications.");
+      return;
+    }
+    Notification.requestPermission().then((permission) => {
+      if (permission === "granted") setReminder({ enabled: true });
+      else setNotice("Notifications are blocked for this site. Allow them in the browser settings to get reminders.");
+    });
   }
 
   return (
-    <div className="mt-5 grid md:grid-cols-3 gap-4">
-      <div className="md:col-span-1 bg-white rounded-2xl border border-slate-200 p-4">
-        <h2 className="font-semibold text-lg flex items-center gap-2">
-          <Plus className="h-5 w-5" /> Add Task
-        </h2>
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+      onClick={onCancel}
+    >
+      <motion.div
+        initial={{ scale: 0.98, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.98, opacity: 0 }}
+        className="bg-white w-full max-w-md rounded-2xl p-4 border border-slate-200 shadow-xl max-h-[85vh] overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="font-semibold text-lg">Settings</div>
+          <button
+            onClick={onCancel}
+            className="p-1 rounded hover:bg-slate-100"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
 
         <div className="mt-3 grid gap-2">
-          <label className="text-xs font-medium text-slate-600">Task title</label>
-          <input
-            value={form.title}
-            onChange={(e) => setForm({ ...form, title: e.target.value })}
-            className="px-3 py-2 rounded-xl border border-slate-200"
-            placeholder="e.g., Math homework"
-          />
+          <div className="text-sm font-medium">Study sessions</div>
+          <div className="text-xs text-slate-600">
+            Auto-schedule and Plan all never create a session shorter than the
+            minimum (unless that is all a task has left) or longer than the
+            maximum.
+          </div>
 
-          <label className="text-xs font-medium text-slate-600 mt-2">Due date</label>
+          <label className="text-xs font-medium text-slate-600 mt-1">
+            Minimum session (minutes)
+          </label>
           <input
-            type="date"
-            value={form.dueDate || ""}
-            onChange={(e) => setForm({ ...form, dueDate: e.target.value })}
+            type="number"
+            min={SNAP_MIN}
+            step={5}
+            value={draft.minSessionMin}
+            onChange={(e) =>
+              setDraft((d) => ({ ...d, minSessionMin: e.target.value }))
+            }
             className="px-3 py-2 rounded-xl border border-slate-200"
           />
 
-          <label className="text-xs font-medium text-slate-600 mt-2">Estimated time (minutes)</label>
+          <label className="text-xs font-medium text-slate-600 mt-1">
+            Maximum session (minutes)
+          </label>
           <input
             type="number"
-            min={10}
+            min={SNAP_MIN}
             step={5}
-            value={form.estimatedMin}
+            value={draft.maxSessionMin}
             onChange={(e) =>
-              setForm({ ...form, estimatedMin: Number(e.target.value) })
+              setDraft((d) => ({ ...d, maxSessionMin: e.target.value }))
             }
+            placeholder="No limit"
             className="px-3 py-2 rounded-xl border border-slate-200"
           />
 
-          <label className="text-xs font-medium text-slate-600 mt-2">Priority</label>
+          <div className="text-sm font-medium mt-3">Missed blocks</div>
           <select
-            value={form.priority}
-            onChange={(e) => setForm({ ...form, priority: e.target.value })}
+            value={draft.catchUp}
+            onChange={(e) => setDraft((d) => ({ ...d, catchUp: e.target.value }))}
             className="px-3 py-2 rounded-xl border border-slate-200"
           >
-            <option value="low">Low</option>
-            <option value="medium">Medium</option>
-            <option value="high">High</option>
+            <option value="confirm">Ask before moving each one</option>
+            <option value="auto">Move automatically, then show what moved</option>
+            <option value="off">Leave them where they are</option>
           </select>
 
+          <div className="text-sm font-medium mt-3 flex items-center gap-1">
+            <Bell className="h-4 w-4" /> Reminders
+          </div>
+          <label className="text-sm flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={draft.reminders.enabled}
+              onChange={(e) => toggleReminders(e.target.checked)}
+            />
+            Browser notifications for blocks and due dates
+          </label>
+          {notice && <div className="text-xs text-amber-700">{notice}</div>}
+
+          <div className={`grid grid-cols-2 gap-2 ${draft.reminders.enabled ? "" : "opacity-50"}`}>
+            <label className="text-xs font-medium text-slate-600">
+              Minutes before a block
+              <input
+                type="number"
+                min={0}
+                step={5}
+                value={draft.reminders.leadMin}
+                onChange={(e) => setReminder({ leadMin: e.target.value })}
+                className="mt-1 w-full px-3 py-2 rounded-xl border border-slate-200"
+              />
+            </label>
+            <label className="text-xs font-medium text-slate-600">
+              Due-date reminder (day before)
+              <input
+                type="time"
+                value={draft.reminders.dueTime}
+                onChange={(e) => setReminder({ dueTime: e.target.value })}
+                className="mt-1 w-full px-3 py-2 rounded-xl border border-slate-200"
+              />
+            </label>
+            <label className="text-xs font-medium text-slate-600">
+              Quiet hours from
+              <input
+                type="time"
+                value={draft.reminders.quietStart}
+                onChange={(e) => setReminder({ quietStart: e.target.value })}
+                className="mt-1 w-full px-3 py-2 rounded-xl border border-slate-200"
+              />
+            </label>
+            <label className="text-xs font-medium text-slate-600">
+              until
+              <input
+                type="time"
+                value={draft.reminders.quietEnd}
+                onChange={(e) => setReminder({ quietEnd: e.target.value })}
+                className="mt-1 w-full px-3 py-2 rounded-xl border border-slate-200"
+              />
+            </label>
+          </div>
+          <div className="text-xs text-slate-500">
+            Reminders only arrive while this app is open in a tab.
+          </div>
+
+          {error && <div className="text-xs text-rose-600">{error}</div>}
+
+          <div className="mt-3 flex gap-2">
+            <button
+              onClick={onCancel}
+              className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() =>
+                onSave({
+                  ...draft,
+                  minSessionMin: min,
+                  maxSessionMin: max,
+                  reminders: { ...draft.reminders, leadMin: lead },
+                })
+              }
+              disabled={!!error}
+              className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white disabled:opacity-40"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+/* --------------------------------------------------
+   ShareDialog
+-------------------------------------------------- */
+function ShareDialog({ weekLabel, makePayload, onClose }) {
+  const [hideTitles, setHideTitles] = useState(false);
+  const [link, setLink] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  function createLink() {
+    setStatus("Creating link…");
+    encodeShare(makePayload(hideTitles))
+      .then((code) => {
+        const { origin, pathname, search } = window.location;
+        setLink(`${origin}${pathname}${search}${SHARE_PREFIX}${code}`);
+        setStatus(null);
+      })
+      .catch(() => setStatus("Could not create the link in this browser."));
+  }
+
+  function copyLink() {
+    navigator.clipboard
+      ?.writeText(link)
+      .then(() => setStatus("Link copied."))
+      .catch(() => setStatus("Copy failed; select the link and copy it."));
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.98, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.98, opacity: 0 }}
+        className="bg-white w-full max-w-md rounded-2xl p-4 border border-slate-200 shadow-xl max-h-[85vh] overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="font-semibold text-lg flex items-center gap-2">
+            <Share2 className="h-5 w-5" /> Share view
+          </div>
           <button
-            onClick={() => {
-              if (!form.title || !form.dueDate || !form.estimatedMin) return;
-              addTask(form);
-              setForm({
-                title: "",
-                dueDate: "",
-                estimatedMin: 60,
-                priority: "medium",
-              });
-            }}
-            className="mt-3 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-slate-900 text-white"
+            onClick={onClose}
+            className="p-1 rounded hover:bg-slate-100"
+            title="Close"
           >
-            Add
+            <X className="h-4 w-4" />
           </button>
-
-          <div className="text-xs text-slate-500 mt-2">
-            {upcoming} upcoming task(s)
-          </div>
         </div>
-      </div>
+        <div className="mt-1 text-xs text-slate-600">
+          A read-only link to {weekLabel}: the timetable, scheduled tasks and
+          task summaries. Everything is inside the link itself; nothing is
+          uploaded, and later changes are not included.
+        </div>
 
-      <div className="md:col-span-2 bg-white rounded-2xl border border-slate-200 p-4">
-        <h2 className="font-semibold text-lg">Your Tasks (click to edit)</h2>
+        <label className="mt-3 text-sm flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={hideTitles}
+            onChange={(e) => {
+              setHideTitles(e.target.checked);
+              setLink(null);
+            }}
+          />
+          Leave out task and event titles
+        </label>
 
-        {tasks.length === 0 ? (
-          <div className="mt-6 text-sm text-slate-500">
-            No tasks yet. Add one on the left.
+        {link ? (
+          <div className="mt-3 grid gap-2">
+            <input
+              readOnly
+              value={link}
+              onFocus={(e) => e.target.select()}
+              className="px-3 py-2 rounded-xl border border-slate-200 text-xs"
+            />
+            <button
+              onClick={copyLink}
+              className="px-3 py-2 rounded-xl bg-slate-900 text-white"
+            >
+              Copy link
+            </button>
           </div>
         ) : (
-          <div className="mt-3 grid gap-2">
-            {tasks.map((t) => (
-              <div
-                key={t.id}
-                className="flex items-center justify-between rounded-xl border border-slate-200 px-3 py-2"
-              >
-                <div className="flex items-start gap-3 flex-1">
-                  <input
-                    type="checkbox"
-                    checked={t.status === "done"}
-                    onChange={() => toggleDone(t.id)}
-                    className="mt-1"
-                  />
+          <button
+            onClick={createLink}
+            className="mt-3 w-full px-3 py-2 rounded-xl bg-slate-900 text-white"
+          >
+            Create link
+          </button>
+        )}
+        {status && <div className="mt-2 text-xs text-slate-600">{status}</div>}
+      </motion.div>
+    </motion.div>
+  );
+}
 
-                  <button onClick={() => openEdit(t)} className="text-left flex-1">
-                    <div
-                      className={`font-medium ${
-                        t.status === "done" ? "line-through text-slate-400" : ""
-                      }`}
-                    >
-                      {t.title}
-                    </div>
-                    <div className="text-xs text-slate-600">
-                      Due {t.dueDate} • {t.estimatedMin} min • {t.priority}
-                    </div>
-                  </button>
-                </div>
+/* --------------------------------------------------
+   SharedPlan
+-------------------------------------------------- */
+// Read-only view of a share link; nothing here reads or writes storage
+function SharedPlan({ code }) {
+  const [shared, setShared] = useState({ status: "loading" });
+  const [view, setView] = useState("schedule");
 
-                <div className="flex items-center gap-1">
-                  <button
-                    onClick={() => onAutoScheduleTask(t.id)}
-                    className="p-2 rounded-lg hover:bg-indigo-50 text-indigo-700"
-                    title="Auto-schedule this task"
-                  >
-                    <Wand2 className="h-4 w-4" />
-                  </button>
-                  <button
-                    onClick={() => openEdit(t)}
-                    className="p-2 rounded-lg hover:bg-slate-100"
-                    title="Edit"
-                  >
-                    <Pencil className="h-4 w-4" />
-                  </button>
-                  <button
-                    onClick={() => removeTask(t.id)}
-                    className="p-2 rounded-lg hover:bg-slate-100"
-                    title="Delete"
-                  >
-                    <Trash2 className="h-4 w-4" />
-                  </button>
-                </div>
+  useEffect(() => {
+    decodeShare(code)
+      .then((payload) => setShared({ status: "ready", payload }))
+      .catch((err) => setShared({ status: "error", message: err.message }));
+  }, [code]);
+
+  const payload = shared.payload;
+
+  return (
+    <div className="min-h-screen bg-slate-50 text-slate-900">
+      <div className="sticky top-0 z-40 bg-white/90 backdrop-blur border-b border-slate-200">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <div className="h-9 w-9 rounded-2xl bg-slate-900 text-white flex items-center justify-center font-bold">
+              M
+            </div>
+            <div>
+              <div className="font-semibold">Shared study plan</div>
+              <div className="text-xs text-slate-600">
+                Read-only
+                {payload?.hideTitles && " • task titles hidden"}
               </div>
-            ))}
+            </div>
           </div>
-        )}
+          {payload && (
+            <div className="flex items-center gap-1 bg-slate-100 rounded-xl p-1">
+              <button
+                onClick={() => setView("schedule")}
+                className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
+                  view === "schedule" ? "bg-white shadow" : "text-slate-700"
+                }`}
+              >
+                <CalendarDays className="h-4 w-4" />
+                Schedule
+              </button>
+              <button
+                onClick={() => setView("tasks")}
+                className={`px-3 py-1.5 rounded-lg text-sm flex items-center gap-1 ${
+                  view === "tasks" ? "bg-white shadow" : "text-slate-700"
+                }`}
+              >
+                <ListTodo className="h-4 w-4" />
+                Tasks
+              </button>
+            </div>
+          )}
+        </div>
       </div>
 
-      <AnimatePresence>
-        {editing && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
-            onClick={() => setEditing(null)}
+      <main className="max-w-6xl mx-auto px-4 pb-16">
+        {shared.status === "loading" && (
+          <div className="mt-5 text-sm text-slate-500">Opening shared plan…</div>
+        )}
+        {shared.status === "error" && (
+          <div className="mt-5 rounded-2xl border border-rose-200 bg-rose-50 p-4 text-sm text-rose-800">
+            {shared.message}
+          </div>
+        )}
+        {payload && view === "schedule" && (
+          <ScheduleView
+            template={payload.template}
+            activeWeek={payload.week}
+            weekStart={payload.weekStart}
+            placements={payload.placements}
+            tasks={payload.tasks}
+            weekOverrides={payload.overrides}
+            commitments={payload.commitments}
+            classification={payload.classification}
+            courses={payload.courses}
+            readOnly
+          />
+        )}
+        {payload && view === "tasks" && (
+          <TasksView
+            tasks={payload.tasks}
+            placements={payload.placements}
+            courses={payload.courses}
+            readOnly
+          />
+        )}
+      </main>
+    </div>
+  );
+}
+
+/* --------------------------------------------------
+   ProfilesDialog
+-------------------------------------------------- */
+function ProfilesDialog({
+  profiles,
+  activeId,
+  onSwitch,
+  onNew,
+  onDuplicate,
+  onRename,
+  onDelete,
+  onExport,
+  onImport,
+  onClose,
+}) {
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/30 z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.98, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.98, opacity: 0 }}
+        className="bg-white w-full max-w-md rounded-2xl p-4 border border-slate-200 shadow-xl max-h-[85vh] overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="font-semibold text-lg flex items-center gap-2">
+            <Users className="h-5 w-5" /> Profiles
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-slate-100"
+            title="Close"
           >
-            <motion.div
-              initial={{ scale: 0.98, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.98, opacity: 0 }}
-              className="bg-white w-full max-w-md rounded-2xl p-4 border border-slate-200 shadow-xl"
-              onClick={(e) => e.stopPropagation()}
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <div className="mt-1 text-xs text-slate-600">
+          Each profile has its own timetable, tasks, schedule and history in
+          this browser.
+        </div>
+
+        <div className="mt-3 grid gap-2">
+          {profiles.map((p) => (
+            <div
+              key={p.id}
+              className={`flex items-center justify-between rounded-xl border px-3 py-2 ${
+                p.id === activeId ? "border-slate-900" : "border-slate-200"
+              }`}
             >
-              <div className="flex items-center justify-between">
-                <div className="font-semibold text-lg">Edit Task</div>
+              <button
+                onClick={() => onSwitch(p.id)}
+                disabled={p.id === activeId}
+                className="text-left flex-1 text-sm"
+                title={p.id === activeId ? "Open now" : "Switch to this profile"}
+              >
+                <span className="font-medium">{p.name}</span>
+                {p.id === activeId && (
+                  <span className="ml-2 text-xs text-emerald-600">(open)</span>
+                )}
+              </button>
+              <div className="flex items-center gap-1">
                 <button
-                  onClick={() => setEditing(null)}
-                  className="p-1 rounded hover:bg-slate-100"
-                  title="Close"
+                  onClick={() => onRename(p.id)}
+                  className="p-1.5 rounded-lg hover:bg-slate-100"
+                  title="Rename"
                 >
-                  <X className="h-4 w-4" />
+                  <Pencil className="h-4 w-4" />
                 </button>
-              </div>
-
-              <div className="mt-3 grid gap-2">
-                <label className="text-xs font-medium text-slate-600">Task title</label>
-                <input
-                  value={editing.title}
-                  onChange={(e) => setEditing((q) => ({ ...q, title: e.target.value }))}
-                  className="px-3 py-2 rounded-xl border border-slate-200"
-                />
-
-                <label className="text-xs font-medium text-slate-600 mt-1">Due date</label>
-                <input
-                  type="date"
-                  value={editing.dueDate || ""}
-                  onChange={(e) => setEditing((q) => ({ ...q, dueDate: e.target.value }))}
-                  className="px-3 py-2 rounded-xl border border-slate-200"
-                />
-
-                <label className="text-xs font-medium text-slate-600 mt-1">Estimated minutes</label>
-                <input
-                  type="number"
-                  min={10}
-                  step={5}
-                  value={editing.estimatedMin}
-                  onChange={(e) =>
-                    setEditing((q) => ({ ...q, estimatedMin: Number(e.target.value) }))
-                  }
-                  className="px-3 py-2 rounded-xl border border-slate-200"
-                />
-
-                <label className="text-xs font-medium text-slate-600 mt-1">Priority</label>
-                <select
-                  value={editing.priority}
-                  onChange={(e) => setEditing((q) => ({ ...q, priority: e.target.value }))}
-                  className="px-3 py-2 rounded-xl border border-slate-200"
+                <button
+                  onClick={() => onExport(p.id)}
+                  className="p-1.5 rounded-lg hover:bg-slate-100"
+                  title="Export this profile"
                 >
-                  <option value="low">Low</option>
-                  <option value="medium">Medium</option>
-                  <option value="high">High</option>
-                </select>
-
-                <div className="mt-3 flex gap-2">
-                  <button
-                    onClick={() => setEditing(null)}
-                    className="flex-1 px-3 py-2 rounded-xl border border-slate-200"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={() => {
-                      if (!editing.title.trim()) return;
-                      updateTask(editing.id, {
-                        title: editing.title.trim(),
-                        dueDate: editing.dueDate,
-                        estimatedMin: editing.estimatedMin,
-                        priority: editing.priority,
-                      });
-                      setEditing(null);
-                    }}
-                    className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
-                  >
-                    Save
-                  </button>
-                </div>
+                  <Download className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => onDelete(p.id)}
+                  disabled={profiles.length < 2}
+                  className="p-1.5 rounded-lg hover:bg-slate-100 disabled:opacity-40"
+                  title="Delete"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
               </div>
-            </motion.div>
-          </motion.div>
-        )}
-      </AnimatePresence>
-    </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-3 grid grid-cols-3 gap-2 text-sm">
+          <button
+            onClick={onNew}
+            className="inline-flex items-center justify-center gap-1 px-3 py-2 rounded-xl bg-slate-900 text-white"
+          >
+            <Plus className="h-4 w-4" /> New
+          </button>
+          <button
+            onClick={onDuplicate}
+            className="inline-flex items-center justify-center gap-1 px-3 py-2 rounded-xl border border-slate-200"
+            title="Copy the open profile"
+          >
+            <Copy className="h-4 w-4" /> Duplicate
+          </button>
+          <label className="inline-flex items-center justify-center gap-1 px-3 py-2 rounded-xl border border-slate-200 cursor-pointer">
+            <Upload className="h-4 w-4" /> Import
+            <input
+              type="file"
+              accept="application/json"
+              className="hidden"
+              onChange={onImport}
+            />
+          </label>
+        </div>
+      </motion.div>
+    </motion.div>
   );
 }
 
 /* --------------------------------------------------
-   ChunkerView
+   FocusSession
 -------------------------------------------------- */
-function ChunkerView({ onCreateTasks }) {
-  const [title, setTitle] = useState("");
-  const [dueDate, setDueDate] = useState("");
-  const [totalHours, setTotalHours] = useState(4);
-  const [type, setType] = useState("essay");
-  const [chunks, setChunks] = useState([]);
+function FocusSession({ focus, task, placement, onChange, onEnd }) {
+  const [now, setNow] = useState(() => Date.now());
+  const running = focus.runningSince != null && !focus.finished;
 
-  function generate() {
-    const tpl = CHUNK_TEMPLATES[type];
-    const totalMin = Math.round(totalHours * 60);
-    const newChunks = tpl.map((c) => ({
-      title: `${title}: ${c.title}`,
-      estimatedMin: Math.max(15, Math.round(totalMin * c.pct)),
-      dueDate,
-      priority: "medium",
-      status: "todo",
-      id: crypto.randomUUID(),
-    }));
-    setChunks(newChunks);
-  }
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => {
+      const at = Date.now();
+      setNow(at);
+      onChange((f) => {
+        let next = f;
+        let step = tickFocus(next, at);
+        while (step !== next) {
+          next = step;
+          step = tickFocus(next, at);
+        }
+        return next;
+      });
+    }, 1000);
+    return () => clearInterval(id);
+  }, [running, onChange]);
 
-  function updateChunk(id, patch) {
-    setChunks((prev) => prev.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  if (!task) return null;
+  const blockMin = placement
+    ? toMin(placement.end) - toMin(placement.start)
+    : Math.max(5, (Number(task.estimatedMin) || 0) - actualMinutes(task)) || 25;
+  const left = focus.mode ? focus.phaseMs - focusElapsed(focus, now) : 0;
+  const workedMin = focus.mode ? Math.round(focusWorkedMs(focus, now) / MINUTE_MS) : 0;
+  const onBreak = focus.phase === "break";
+
+  function finish() {
+    onChange((f) => ({ ...pauseFocus(f, Date.now()), finished: true }));
   }
 
   return (
-    <div className="mt-5 grid md:grid-cols-2 gap-4">
-      <div className="bg-white rounded-2xl border border-slate-200 p-4">
-        <h2 className="font-semibold text-lg">Project Chunker</h2>
-        <div className="mt-3 grid gap-2">
-          <label className="text-xs font-medium text-slate-600">Project title</label>
-          <input
-            value={title}
-            onChange={(e) => setTitle(e.target.value)}
-            className="px-3 py-2 rounded-xl border border-slate-200"
-            placeholder="e.g., History essay"
-          />
-
-          <label className="text-xs font-medium text-slate-600 mt-2">Due date</label>
-          <input
-            type="date"
-            value={dueDate || ""}
-            onChange={(e) => setDueDate(e.target.value)}
-            className="px-3 py-2 rounded-xl border border-slate-200"
-          />
-
-          <label className="text-xs font-medium text-slate-600 mt-2">Total estimated time (hours)</label>
-          <input
-            type="number"
-            min={0.5}
-            step={0.5}
-            value={totalHours}
-            onChange={(e) => setTotalHours(Number(e.target.value))}
-            className="px-3 py-2 rounded-xl border border-slate-200"
-          />
+    <div
+      className={`fixed bottom-24 right-5 z-40 w-72 rounded-2xl border shadow-xl p-4 ${
+        onBreak ? "bg-emerald-50 border-emerald-200" : "bg-white border-slate-200"
+      }`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="text-xs text-slate-500">
+            {onBreak ? "Break" : "Focus"}
+            {placement && ` • ${placement.day} ${placement.start}–${placement.end}`}
+          </div>
+          <div className="font-semibold">{task.title}</div>
+        </div>
+        <button
+          onClick={() =>
+            // Ending with time on the clock still asks what to log
+            workedMin > 0 ? finish() : onEnd("discard")
+          }
+          className="p-1 rounded hover:bg-slate-100"
+          title="End session"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
 
-          <label className="text-xs font-medium text-slate-600 mt-2">Project type</label>
-          <select
-            value={type}
-            onChange={(e) => setType(e.target.value)}
-            className="px-3 py-2 rounded-xl border border-slate-200"
+      {!focus.mode ? (
+        <div className="mt-3 grid gap-2">
+          <button
+            onClick={() => onChange((f) => startFocus(f, "pomodoro", blockMin, Date.now()))}
+            className="px-3 py-2 rounded-xl bg-slate-900 text-white text-sm"
           >
-            <option value="essay">Essay / Writing</option>
-            <option value="exam">Studying for Exam</option>
-            <option value="lab">Lab / Research / Presentation</option>
-          </select>
-
+            Pomodoro ({POMODORO.workMin} min + {POMODORO.breakMin} min breaks)
+          </button>
           <button
-            onClick={generate}
-            className="mt-3 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-slate-900 text-white"
+            onClick={() => onChange((f) => startFocus(f, "block", blockMin, Date.now()))}
+            className="px-3 py-2 rounded-xl border border-slate-200 text-sm"
           >
-            Generate chunks
+            {placement ? "Block length" : "Time left"} ({blockMin} min)
           </button>
         </div>
-      </div>
-
-      <div className="bg-white rounded-2xl border border-slate-200 p-4">
-        <h2 className="font-semibold text-lg">Chunks (editable)</h2>
-        {chunks.length === 0 ? (
-          <div className="mt-6 text-sm text-slate-500">Generate chunks to see them here.</div>
-        ) : (
-          <div className="mt-3 grid gap-2">
-            {chunks.map((c, i) => (
-              <div key={c.id} className="rounded-xl border border-slate-200 px-3 py-2 grid gap-2">
-                <div className="text-xs text-slate-500">Chunk {i + 1}</div>
-                <input
-                  value={c.title}
-                  onChange={(e) => updateChunk(c.id, { title: e.target.value })}
-                  className="px-2 py-1 rounded-lg border border-slate-200 text-sm"
-                />
-                <div className="flex gap-2 items-center">
-                  <label className="text-xs text-slate-600">Minutes</label>
-                  <input
-                    type="number"
-                    min={10}
-                    step={5}
-                    value={c.estimatedMin}
-                    onChange={(e) => updateChunk(c.id, { estimatedMin: Number(e.target.value) })}
-                    className="w-24 px-2 py-1 rounded-lg border border-slate-200 text-sm"
-                  />
-                  <label className="text-xs text-slate-600">Due</label>
-                  <input
-                    type="date"
-                    value={c.dueDate || ""}
-                    onChange={(e) => updateChunk(c.id, { dueDate: e.target.value })}
-                    className="px-2 py-1 rounded-lg border border-slate-200 text-sm"
-                  />
-                </div>
-              </div>
-            ))}
+      ) : focus.finished ? (
+        <div className="mt-3 grid gap-2">
+          <div className="text-sm">
+            {focus.reminder && `${focus.reminder} `}You focused for {workedMin} min.
+          </div>
+          <button
+            onClick={() => onEnd("done")}
+            className="px-3 py-2 rounded-xl bg-emerald-600 text-white text-sm"
+          >
+            Done — mark task complete
+          </button>
+          <button
+            onClick={() => onEnd("more")}
+            className="px-3 py-2 rounded-xl border border-slate-200 text-sm"
+          >
+            Needs more time
+          </button>
+          <button
+            onClick={() => onEnd("discard")}
+            className="text-xs text-slate-500 underline"
+          >
+            Discard this session
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="mt-2 text-4xl font-semibold tabular-nums text-center">
+            {formatCountdown(left)}
+          </div>
+          <div className="text-xs text-slate-500 text-center">
+            {focus.mode === "pomodoro" ? `Round ${focus.round} • ` : ""}
+            {workedMin} min worked
+          </div>
+          {focus.reminder && (
+            <div className="mt-2 rounded-lg bg-amber-50 border border-amber-200 px-2 py-1 text-xs text-amber-800">
+              {focus.reminder}
+            </div>
+          )}
+          <div className="mt-3 flex gap-2">
             <button
-              onClick={() => {
-                onCreateTasks(chunks);
-                setChunks([]);
-              }}
-              className="mt-2 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-indigo-600 text-white"
+              onClick={() =>
+                onChange((f) =>
+                  running ? pauseFocus(f, Date.now()) : resumeFocus(f, Date.now())
+                )
+              }
+              className="flex-1 inline-flex items-center justify-center gap-1 px-3 py-2 rounded-xl border border-slate-200 text-sm"
             >
-              Add chunks to Tasks
+              {running ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+              {running ? "Pause" : "Resume"}
+            </button>
+            <button
+              onClick={finish}
+              className="flex-1 px-3 py-2 rounded-xl bg-slate-900 text-white text-sm"
+            >
+              Finish
             </button>
           </div>
-        )}
-      </div>
+        </>
+      )}
     </div>
   );
 }
@@ -1507,4 +8510,704 @@ if (typeof window !== "undefined" && window.__MANARA_TESTS__) {
   assert(r.startMin === 480, "toMin/parseRange startMin");
   assert(durationMin(r) === 60, "durationMin");
   assert(inferBlockType("Study Hall") === "free", "study hall free");
+  assert(classifyLabel("Study Hall").result === "study", "study hall rule");
+  assert(inferBlockType("PE") === "fixed", "PE fixed");
+  assert(!classifyLabel("Speech").known, "pe only matches the whole word");
+  assert(!classifyLabel("Winter concert").known, "win only matches the whole word");
+  const custom = {
+    rules: [
+      { match: "regex", pattern: "(", result: "free" },
+      { match: "exact", pattern: "clubs", result: "free" },
+    ],
+    fallback: "free",
+  };
+  assert(inferBlockType("Clubs", custom) === "free", "exact rule ignores case");
+  assert(classifyLabel("Club fair", custom).ruleIndex === -1, "invalid regex skipped");
+  assert(inferBlockType("Club fair", custom) === "free", "fallback type");
+
+  const report = validateTemplateImport({
+    templates: {
+      week1: {
+        grid: [
+          { start: "08:00", end: "09:00", days: { Monday: "Block A" } },
+          { start: "8:30", end: "09:30", days: { Tusday: "Lunch" } },
+          { start: "08:45", end: "09:30", days: { Friday: "Robotics" } },
+        ],
+      },
+    },
+  });
+  assert(report.errors.length === 2, "validateTemplateImport errors");
+  assert(report.errors[0].row === 2 && report.errors[0].field === "start", "validate error row/field");
+  assert(report.warnings.length === 3, "validateTemplateImport warnings");
+
+  const range = parseTimeRange("11:30 to 12:20 PM");
+  assert(range.start === "11:30" && range.end === "12:20", "parseTimeRange shared PM");
+  assert(parseTimeRange("1:00 PM - 1:50 PM").start === "13:00", "parseTimeRange PM");
+  const sheet = parseTimetableSheet(
+    'Time,Sun,Mon\n8:00–8:50,Block A,"Study Hall, quiet"\nLunch,x\n'
+  );
+  assert(sheet.grid.length === 1 && sheet.errors[0].line === 3, "parseTimetableSheet");
+  assert(sheet.grid[0].days.Monday === "Study Hall, quiet", "parseTimetableSheet quoted");
+
+  const restore = planBackupImport(
+    {
+      templates: DEFAULT_TEMPLATES,
+      tasks: [{ id: "t1", title: "Essay", estimatedMin: 60 }],
+      placements: [],
+      freeOverrides: { week1: {}, week2: {} },
+      week1StartSunday: "2026-01-04",
+    },
+    {
+      tasks: [
+        { id: "t1", title: "Essay", estimatedMin: 90 },
+        { id: "t2", title: "Lab" },
+      ],
+      placements: [
+        { id: "p1", taskId: "t2", day: "Monday", start: "08:00", end: "09:00" },
+        { id: "p2", taskId: "gone", day: "Monday", start: "09:00", end: "10:00" },
+      ],
+    },
+    "merge",
+    "mine"
+  );
+  assert(restore.report.tasksAdded === 1 && restore.report.conflicts.length === 1, "backup merge");
+  assert(restore.next.tasks[0].estimatedMin === 60, "backup merge keeps mine");
+  assert(restore.report.rejected.length === 1 && restore.next.placements.length === 1, "backup rejects orphans");
+  const replaced = planBackupImport(
+    { templates: DEFAULT_TEMPLATES, tasks: [], placements: [], freeOverrides: { week1: {}, week2: {} } },
+    {
+      tasks: [{ id: "t2", title: "Lab" }],
+      placements: [
+        { id: "p1", taskId: "t2", day: "Monday", start: "08:00", end: "09:00" },
+        { id: "p3", taskId: "t2", day: "Monday", start: "9am", end: "10:00" },
+      ],
+      templates: { templates: { week1: { grid: [{ start: "08:00" }] }, week2: { grid: [] } } },
+    },
+    "replace",
+    "mine"
+  );
+  assert(
+    replaced.report.invalidPlacements === 1 &&
+      replaced.next.placements.length === 1 &&
+      replaced.report.templateErrors > 0 &&
+      replaced.next.templates.templates.week1.grid.length === 0,
+    "backup replace checks placements and templates"
+  );
+
+  const lectures = eventsToCommitments(
+    parseICS(
+      [
+        "BEGIN:VEVENT",
+        "UID:lecture",
+        "DTSTART:20260105T090000",
+        "DTEND:20260105T100000",
+        "RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4",
+        "EXDATE:20260107T090000",
+        "END:VEVENT",
+      ].join("\r\n")
+    )
+  );
+  assert(
+    lectures.map((c) => c.date).join() === "2026-01-05,2026-01-12,2026-01-14",
+    "ics import expands BYDAY and leaves out EXDATE"
+  );
+  const fortnightly = occurrenceDates({
+    start: { date: "2026-01-07", time: "09:00" },
+    rrule: { FREQ: "WEEKLY", INTERVAL: "2", BYDAY: "MO,WE", UNTIL: "20260126" },
+  });
+  assert(
+    fortnightly.join() === "2026-01-07,2026-01-19,2026-01-21",
+    "ics import keeps BYDAY inside every other week"
+  );
+
+  const noUid = parseICS(
+    ["BEGIN:VEVENT", "SUMMARY:Club", "DTSTART:20260105T150000", "DTEND:20260105T160000", "END:VEVENT"].join("\r\n")
+  );
+  assert(
+    eventsToCommitments(noUid)[0].id === eventsToCommitments(noUid)[0].id,
+    "events without a UID get the same id on every import"
+  );
+
+  const longLine = `SUMMARY:${"é".repeat(40)}${"😀".repeat(10)}`;
+  const folded = icsFold(longLine).split("\r\n");
+  assert(
+    folded.length > 1 &&
+      folded.every((l) => new TextEncoder().encode(l).length <= 75) &&
+      folded.map((l, i) => (i ? l.slice(1) : l)).join("") === longLine,
+    "icsFold folds at 75 octets without splitting characters"
+  );
+
+  const ics = buildICS({
+    tasks: [{ id: "t1", title: "Essay, draft", dueDate: "2026-01-09", estimatedMin: 60 }],
+    placements: [
+      { id: "p1", taskId: "t1", date: "2026-01-05", day: "Monday", start: "08:00", end: "09:00" },
+      { id: "p2", taskId: "t1", week: "week2", day: "Tuesday", start: "10:00", end: "10:30" },
+    ],
+    week1StartSunday: "2026-01-04",
+    now: new Date(Date.UTC(2026, 0, 1)),
+  });
+  assert(ics.includes("DTSTART:20260105T080000"), "ics dated placement");
+  assert(ics.includes("DTSTART:20260113T100000\r\nDTEND:20260113T103000\r\nRRULE:FREQ=WEEKLY;INTERVAL=2"), "ics repeating placement");
+  assert(ics.includes("UID:due-t1@manara-scheduler") && ics.includes("Essay\\, draft"), "ics due date");
+
+  const imported = eventsToCommitments(
+    parseICS(
+      [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "UID:game",
+        "SUMMARY:Away game\\, Dubai",
+        "DTSTART:20260105T150000",
+        "DTEND:20260105T183000",
+        "RRULE:FREQ=WEEKLY;COUNT=2",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:exam",
+        "DTSTART;VALUE=DATE:20260107",
+        "DTEND;VALUE=DATE:20260109",
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n")
+    )
+  );
+  assert(imported.length === 4, "ics import expands recurrences and all-day spans");
+  assert(imported[1].date === "2026-01-12" && imported[1].title === "Away game, Dubai", "ics import weekly");
+  assert(imported[3].day === "Thursday" && imported[3].end === "24:00", "ics import all-day");
+
+  const legacy = migrateData({ activeWeek: "week2", freeOverrides: { "Monday_08:00_09:00": true } });
+  assert(legacy.from === 0 && legacy.data.version === SCHEMA_VERSION, "migrateData version");
+  assert(legacy.data.freeOverrides.week1["Monday_08:00_09:00"] && !("activeWeek" in legacy.data), "migrateData steps");
+  let tooNew = false;
+  try {
+    migrateData({ version: SCHEMA_VERSION + 1 });
+  } catch {
+    tooNew = true;
+  }
+  assert(tooNew, "migrateData rejects newer data");
+  for (const damaged of [
+    { version: SCHEMA_VERSION, tasks: {} },
+    { version: SCHEMA_VERSION, templates: { templates: { week1: { grid: null } } } },
+    { version: SCHEMA_VERSION, settings: "x" },
+  ]) {
+    let rejected = "";
+    try {
+      migrateData(damaged);
+    } catch (err) {
+      rejected = err.message;
+    }
+    assert(rejected.startsWith("The saved data is damaged"), "migrateData checks field shapes");
+  }
+
+  assert(addDays("2026-01-31", 1) === "2026-02-01", "addDays month rollover");
+  assert(weekKeyForDate("2026-01-04", "2026-01-14") === "week2", "weekKeyForDate");
+  assert(weekKeyForDate("2026-01-04", "2025-12-30") === "week2", "weekKeyForDate before start");
+  const dated = dateSlots(
+    [
+      { day: "Monday", week: "week1", startMin: 480, endMin: 540, minutes: 60 },
+      { day: "Wednesday", week: "week1", startMin: 480, endMin: 540, minutes: 60 },
+    ],
+    "2026-01-04",
+    "Sunday"
+  );
+  const fit = fillSlots(
+    { id: "t", estimatedMin: 90, dueDate: "2026-01-07", priority: "medium" },
+    dated
+  );
+  assert(fit.placements.length === 1 && fit.remaining === 30, "fillSlots stops at due date");
+  assert(fit.placements[0].date === "2026-01-05", "fillSlots dates placements");
+  assert(windowDates("2026-01-04", "Wednesday").Monday === "2026-01-19", "windowDates wraps");
+
+  const d = diffPlacements(
+    [
+      { id: "a", taskId: "t", week: "week1", day: "Monday", start: "08:00", end: "09:00" },
+      { id: "b", taskId: "t", week: "week1", day: "Monday", start: "10:00", end: "11:00" },
+    ],
+    [
+      { id: "x", taskId: "t", week: "week1", day: "Monday", start: "08:00", end: "09:00" },
+      { id: "y", taskId: "t", week: "week2", day: "Monday", start: "10:00", end: "11:00" },
+      { id: "z", taskId: "u", week: "week2", day: "Friday", start: "10:00", end: "11:00" },
+    ]
+  );
+  assert(d.unchanged.length === 1 && d.moved.length === 1 && d.added.length === 1, "diffPlacements");
+  assert(d.moved[0].to.id === "b", "diffPlacements keeps moved ids");
+
+  const gaps = freeGaps({ day: "Monday", startMin: 480, endMin: 570, minutes: 90 }, [
+    { day: "Monday", start: "08:20", end: "08:50" },
+  ]);
+  const block = { day: "Monday", date: "2026-01-05", startMin: 480, endMin: 570 };
+  assert(
+    placementsInBlock(
+      [
+        { day: "Monday", date: "2026-01-19", start: "08:00", end: "09:00" },
+        { day: "Monday", week: "week1", start: "08:00", end: "09:00" },
+      ],
+      "week1",
+      block
+    ).length === 1,
+    "placementsInBlock matches date or repeating week"
+  );
+  const courses = [{ id: "c1", name: "Chemistry", color: "teal", labels: ["Block C", ""] }];
+  assert(courseForLabel(courses, " block c ") === courses[0], "courseForLabel ignores case");
+  assert(courseForLabel(courses, "") === null, "courseForLabel empty label");
+  assert(matchesCourse({ courseId: "c1" }, "c1") && matchesCourse({}, "none"), "matchesCourse");
+  let logged = addLogEntry({ id: "t", log: [] }, 20, "p1");
+  logged = addLogEntry(addLogEntry(logged, 30, "p1"), 10);
+  assert(actualMinutes(logged) === 40, "addLogEntry replaces a block's entry");
+  const accuracy = estimateAccuracy(
+    [
+      { status: "done", courseId: "c1", estimatedMin: 60, log: [{ minutes: 90 }] },
+      { status: "done", courseId: "c1", estimatedMin: 40, log: [{ minutes: 60 }] },
+      { status: "todo", courseId: "c1", estimatedMin: 40, log: [{ minutes: 10 }] },
+    ],
+    (t) => t.courseId
+  );
+  assert(accuracy.length === 1 && accuracy[0].ratio === 1.5, "estimateAccuracy");
+  assert(suggestEstimate(accuracy[0], 30) === 45, "suggestEstimate");
+  let f = startFocus({ taskId: "t" }, "pomodoro", 90, 0);
+  f = tickFocus(f, 26 * MINUTE_MS);
+  assert(f.phase === "break" && f.runningSince === 25 * MINUTE_MS, "tickFocus starts the break");
+  assert(focusWorkedMs(f, 26 * MINUTE_MS) === 25 * MINUTE_MS, "breaks don't count as work");
+  f = pauseFocus(f, 27 * MINUTE_MS);
+  assert(tickFocus(f, 99 * MINUTE_MS) === f, "paused sessions stay put");
+  let b = startFocus({ taskId: "t" }, "block", 60, 0);
+  b = tickFocus(b, 51 * MINUTE_MS);
+  assert(b.breaksReminded === 1 && !b.finished, "block sessions remind about breaks");
+  assert(tickFocus(b, 61 * MINUTE_MS).finished, "block sessions finish");
+  const finished = finishTaskPlacements(
+    [
+      { id: "past", taskId: "t", day: "Monday", date: "2026-01-05", start: "09:00", end: "10:00" },
+      { id: "later", taskId: "t", day: "Friday", date: "2026-01-16", start: "09:00", end: "10:00" },
+      { id: "rep", taskId: "t", day: "Tuesday", week: "week2", start: "09:00", end: "10:00" },
+      { id: "now", taskId: "t", day: "Monday", week: "week1", start: "11:00", end: "12:00" },
+      { id: "other", taskId: "u", day: "Tuesday", start: "09:00", end: "10:00" },
+    ],
+    "t",
+    "now",
+    "2026-01-12"
+  );
+  assert(
+    finished.removed.map((p) => p.id).join() === "later,rep",
+    "finishTaskPlacements removes later and repeating blocks"
+  );
+  assert(
+    finished.placements.map((p) => p.id).join() === "past,now,other" &&
+      finished.placements[1].date === "2026-01-12",
+    "finishTaskPlacements pins the focused repeating block to today"
+  );
+  assert(gaps.length === 2 && gaps[0].minutes === 20 && gaps[1].start === "08:50", "freeGaps");
+  assert(pickGap(gaps, 30).minutes === 40, "pickGap first that fits");
+  const fitted = fitInGaps(gaps, 30, 505);
+  assert(fitted.start === "08:50" && fitted.end === "09:20", "fitInGaps keeps length in the nearest gap");
+  assert(fitInGaps(gaps, 60, 480) === null, "fitInGaps needs a long enough gap");
+  const bounds = resizeBounds(block, [{ start: "08:00", end: "08:20" }], {
+    start: "08:30",
+    end: "09:00",
+  });
+  assert(bounds.minStart === 500 && bounds.maxEnd === 570, "resizeBounds");
+  const halves = splitPlacement({ id: "s", taskId: "t", date: "2026-01-05", day: "Monday", start: "08:00", end: "08:45" });
+  assert(halves[0].end === "08:25" && halves[1].start === "08:25", "splitPlacement at snapped midpoint");
+  assert(nextAdjacent(halves[0], halves) === halves[1], "nextAdjacent");
+  const weekly = recurrenceDates(
+    { freq: "weekdays", days: ["Monday", "Thursday"], week: "week1", until: "2026-01-25" },
+    "2026-01-04",
+    "2026-01-04"
+  );
+  assert(weekly.join() === "2026-01-05,2026-01-08,2026-01-19,2026-01-22", "recurrenceDates weekdays in Week 1");
+  assert(
+    recurrenceDates({ freq: "interval", every: 3, until: "2026-01-10" }, "2026-01-04", "2026-01-04").length === 3,
+    "recurrenceDates every N days"
+  );
+  const series = expandSeries(
+    { title: "Reading", dueDate: "2026-01-05", estimatedMin: 30, priority: "medium" },
+    { freq: "daily", until: "2026-01-07" },
+    "2026-01-04"
+  );
+  assert(
+    series.length === 3 && series[2].startDate === "2026-01-06" && !series[0].startDate,
+    "expandSeries"
+  );
+  assert(placedMinutes("t", halves) === 45, "placedMinutes");
+  const capped = fillSlots(
+    { id: "t", estimatedMin: 60, priority: "medium" },
+    [{ week: "week1", date: "2026-01-05", day: "Monday", startMin: 480, minutes: 120 },
+     { week: "week1", date: "2026-01-06", day: "Tuesday", startMin: 480, minutes: 120 }],
+    { minSessionMin: 20, maxSessionMin: 50 }
+  );
+  assert(
+    capped.placements.map((p) => p.end).join() === "08:40,08:20",
+    "fillSlots keeps sessions between min and max"
+  );
+  const resized = resizeTo({ start: "08:30", end: "09:00" }, "start", 493, bounds);
+  assert(resized.start === "08:20", "resizeTo snaps and stops at neighbours");
+  assert(
+    resizeTo({ start: "08:30", end: "09:00" }, "end", 512, bounds).end === "08:35",
+    "resizeTo keeps 5 minutes"
+  );
+
+  const broken = validateTemplateImport({
+    templates: {
+      week1: { grid: "08:00-09:00" },
+      week2: {
+        grid: [null, { start: "8", end: "09:00" }, { start: "08:00", end: "09:00", days: ["Monday"] }],
+        notes: [{}],
+      },
+    },
+  });
+  assert(broken.errors.length > 0, "validateTemplateImport flags a broken grid");
+  assert(
+    broken.templates.templates.week1.grid.length === 0 &&
+      broken.templates.templates.week2.grid.length === 1 &&
+      Object.keys(broken.templates.templates.week2.grid[0].days).length === 0 &&
+      broken.templates.templates.week2.notes.length === 0,
+    "Import anyway only keeps usable rows"
+  );
+  assert(
+    validateTemplateImport({ templates: null }).templates === null,
+    "validateTemplateImport rejects null templates"
+  );
+
+  const h0 = { tasks: [], courses: [] };
+  const h1 = { ...h0, tasks: [{ id: "t" }] };
+  const h2 = { ...h1, courses: [{ id: "c" }] };
+  const packed = packHistory([h0, h1, h2]);
+  assert(
+    Object.keys(packed[2]).join() === "courses" &&
+      unpackHistory(JSON.parse(JSON.stringify(packed)))[2].tasks[0].id === "t",
+    "saved history keeps only changed fields and restores them"
+  );
+
+  const remapped = remapTimetableChange({
+    before: { templates: { week1: { grid: [{ start: "16:00", end: "17:00" }, { start: "18:00", end: "19:00" }] } } },
+    after: { templates: { week1: { grid: [{ start: "16:30", end: "17:30" }] } } },
+    freeOverrides: { week1: { "Monday_16:00_17:00": true, "Monday_18:00_19:00": true }, week2: {} },
+    placements: [
+      { id: "a", taskId: "t", week: "week1", date: "2026-01-05", day: "Monday", start: "16:10", end: "16:40" },
+      { id: "b", taskId: "t", week: "week1", day: "Monday", start: "18:00", end: "18:30" },
+      { id: "c", taskId: "t", week: "week1", date: "2026-01-01", day: "Thursday", start: "16:00", end: "16:30" },
+    ],
+    fallbackWeek: "week1",
+    today: "2026-01-04",
+  });
+  assert(
+    Object.keys(remapped.freeOverrides.week1).join() === "Monday_16:30_17:30" &&
+      remapped.placements.map((p) => `${p.id}@${p.start}`).join() === "a@16:40,c@16:00",
+    "remapTimetableChange moves overrides and placements with their row"
+  );
+  assert(
+    remapped.dropped.overrides[0].start === "18:00" && remapped.dropped.placements[0].id === "b",
+    "remapTimetableChange reports what has no row any more"
+  );
+
+  const s0 = { tasks: [] };
+  const s1 = { tasks: [{ id: "a" }] };
+  let h = recordHistory({ past: [], future: [] }, s0);
+  const undone = undoHistory(h, s1);
+  assert(undone.snapshot === s0 && undone.history.future[0] === s1, "undoHistory");
+  const redone = redoHistory(undone.history, s0);
+  assert(redone.snapshot === s1 && redone.history.past[0] === s0, "redoHistory");
+  h = recordHistory(undone.history, s0);
+  assert(h.future.length === 0, "recordHistory clears redo");
+  assert(undoHistory({ past: [], future: [] }, s0) === null, "undoHistory empty");
+
+  const loadTemplates = {
+    ...DEFAULT_TEMPLATES,
+    templates: {
+      week1: {
+        grid: [
+          { start: "16:00", end: "17:00", days: { Monday: "Free", Tuesday: "Class" } },
+          { start: "18:00", end: "19:00", days: { Monday: "Athletics", Tuesday: "Athletics" } },
+        ],
+      },
+      week2: { grid: [] },
+    },
+  };
+  const load = dailyLoad({
+    dates: datesBetween("2026-01-05", "2026-01-06"),
+    templates: loadTemplates,
+    freeOverrides: { week1: {}, week2: {} },
+    placements: [
+      { id: "a", taskId: "t", date: "2026-01-05", day: "Monday", start: "16:00", end: "16:30" },
+      { id: "b", taskId: "t", date: "2026-01-06", day: "Tuesday", start: "18:00", end: "18:20" },
+    ],
+    commitments: [{ id: "c", date: "2026-01-05", day: "Monday", start: "16:45", end: "17:00" }],
+    week1StartSunday: "2026-01-04",
+    fallbackWeek: "week1",
+  });
+  assert(
+    load[0].freeMin === 45 && load[0].scheduledMin === 30 &&
+      load[1].freeMin === 0 && load[1].scheduledMin === 20,
+    "dailyLoad free vs scheduled minutes"
+  );
+  const summary = workloadSummary({
+    tasks: [
+      { id: "t", status: "todo", dueDate: "2026-01-04", estimatedMin: 90 },
+      { id: "u", status: "todo", dueDate: "2026-01-07", estimatedMin: 30 },
+      { id: "v", status: "done", dueDate: "2026-01-06", estimatedMin: 30 },
+      { id: "w", status: "todo", dueDate: "2026-02-01", estimatedMin: 30 },
+    ],
+    placements: [{ taskId: "t", start: "16:00", end: "16:30" }],
+    from: "2026-01-01",
+    to: "2026-01-10",
+    today: "2026-01-05",
+  });
+  assert(
+    summary.unscheduledMin === 90 && summary.overdue === 1 &&
+      summary.dueSoon === 1 && summary.done === 1 && summary.total === 3,
+    "workloadSummary"
+  );
+  const lateSummary = workloadSummary({
+    tasks: [{ id: "t", status: "todo", dueDate: "2026-01-02", estimatedMin: 90 }],
+    placements: [],
+    from: "2026-01-04",
+    to: "2026-01-10",
+    today: "2026-01-05",
+  });
+  assert(
+    lateSummary.overdue === 1 && lateSummary.total === 0 && lateSummary.unscheduledMin === 0,
+    "workloadSummary counts tasks that went overdue before the range"
+  );
+  assert(
+    completionTrend(
+      [{ status: "done", completedAt: "2026-01-05T12:00:00", log: [{ at: "2026-01-05T11:00:00", minutes: 25 }] }],
+      ["2026-01-05", "2026-01-06"]
+    ).map((d) => `${d.completed}/${d.loggedMin}`).join() === "1/25,0/0",
+    "completionTrend"
+  );
+
+  const forecastArgs = {
+    templates: loadTemplates,
+    freeOverrides: { week1: {}, week2: {} },
+    week1StartSunday: "2026-01-04",
+    fallbackWeek: "week1",
+    today: "2026-01-05",
+    nowMin: 8 * 60,
+  };
+  const essay = { id: "e", status: "todo", dueDate: "2026-01-07", estimatedMin: 360, priority: "high" };
+  const chores = { id: "c", status: "todo", dueDate: "2026-01-20", estimatedMin: 30, priority: "low" };
+  const late = capacityForecast({
+    ...forecastArgs,
+    tasks: [essay, chores],
+    placements: [{ id: "p", taskId: "c", date: "2026-01-05", day: "Monday", start: "16:00", end: "16:30" }],
+  });
+  assert(
+    late.e.status === "late" && late.e.missing === 330 && !late.c,
+    "capacityForecast: a 6-hour task due tomorrow can't fit"
+  );
+  assert(
+    late.e.blocks.map((b) => b.label).join() === "Athletics,Athletics,Class" &&
+      late.e.lowerPriority[0].minutes === 30,
+    "capacityForecast suggests activities before classes and lower-priority work"
+  );
+  const lab = { id: "l", status: "todo", dueDate: "2026-01-30", estimatedMin: 600, priority: "low" };
+  const repeating = capacityForecast({
+    ...forecastArgs,
+    tasks: [essay, lab],
+    placements: [
+      { id: "l1", taskId: "l", week: "week1", day: "Tuesday", start: "18:00", end: "18:30" },
+      { id: "l2", taskId: "l", week: "week2", day: "Monday", start: "18:00", end: "19:00" },
+    ],
+  });
+  assert(
+    repeating.e.lowerPriority.length === 1 && repeating.e.lowerPriority[0].minutes === 30,
+    "capacityForecast only counts repeating placements on their dates before the due date"
+  );
+  const fits = capacityForecast({
+    ...forecastArgs,
+    tasks: [{ ...essay, estimatedMin: 50 }],
+    placements: [],
+  });
+  assert(fits.e?.status === "risk" && fits.e.spare === 10, "capacityForecast at risk");
+  assert(
+    !capacityForecast({ ...forecastArgs, tasks: [{ ...essay, estimatedMin: 20 }], placements: [] }).e,
+    "capacityForecast fits"
+  );
+
+  const missedTasks = [
+    { id: "m", status: "todo", dueDate: "2026-01-20", estimatedMin: 60, priority: "low", log: [{ minutes: 10, placementId: "x2" }] },
+    { id: "d", status: "done", dueDate: "2026-01-19", estimatedMin: 30 },
+  ];
+  const missedList = missedPlacements(
+    [
+      { id: "x1", taskId: "m", date: "2026-01-05", day: "Monday", start: "16:00", end: "16:40" },
+      { id: "x2", taskId: "m", date: "2026-01-05", day: "Monday", start: "16:40", end: "17:00" },
+      { id: "x3", taskId: "d", date: "2026-01-05", day: "Monday", start: "16:00", end: "16:30" },
+      { id: "x4", taskId: "m", week: "week1", day: "Monday", start: "16:00", end: "16:30" },
+      { id: "x5", taskId: "m", date: "2026-01-06", day: "Tuesday", start: "18:00", end: "18:30" },
+    ],
+    missedTasks,
+    "2026-01-06",
+    17 * 60
+  );
+  assert(missedList.map((p) => p.id).join() === "x1", "missedPlacements");
+  const rolled = planCatchUp({
+    ...forecastArgs,
+    missed: missedList,
+    tasks: missedTasks,
+    placements: missedList,
+    today: "2026-01-06",
+    nowMin: 17 * 60,
+  });
+  assert(
+    rolled[0].to.length === 1 &&
+      rolled[0].to[0].id === "x1" &&
+      rolled[0].to[0].date === "2026-01-07" &&
+      rolled[0].to[0].end === "16:40" &&
+      rolled[0].unfitMin === 0,
+    "planCatchUp rolls into the next free time and keeps the id"
+  );
+  assert(
+    planCatchUp({
+      ...forecastArgs,
+      missed: missedList,
+      tasks: [{ ...missedTasks[0], dueDate: "2026-01-07" }],
+      placements: missedList,
+      today: "2026-01-06",
+      nowMin: 17 * 60,
+    })[0].to.length === 0,
+    "planCatchUp never moves past the due date"
+  );
+  const caughtUp = applyCatchUpPlan(
+    [...missedList, { id: "y", taskId: "m", date: "2026-01-08", day: "Thursday", start: "16:00", end: "16:30" }],
+    rolled,
+    new Set(["x1"])
+  );
+  assert(
+    caughtUp.find((p) => p.id === "x1").date === rolled[0].to[0].date &&
+      caughtUp.find((p) => p.id === "y").start === "16:00",
+    "applyCatchUpPlan applies the previewed moves"
+  );
+  assert(
+    applyCatchUpPlan(missedList, rolled, new Set())[0].missedKept &&
+      catchUpSummary(rolled, new Set()).kept[0].id === "x1",
+    "applyCatchUpPlan keeps unticked blocks in place"
+  );
+
+  const planned = planAllTasks({
+    ...forecastArgs,
+    tasks: [essay, { ...chores, dueDate: "2026-02-20", estimatedMin: 600 }],
+    placements: [],
+  });
+  assert(
+    planned.unfit.e === 300 && !("c" in planned.unfit),
+    "planAllTasks only reports shortfalls for tasks due inside the planned weeks"
+  );
+
+  const kept = planAllTasks({
+    ...forecastArgs,
+    nowMin: 17 * 60,
+    tasks: [{ ...essay, log: [{ minutes: 20, placementId: "focused" }] }],
+    placements: [
+      { id: "ended", taskId: "e", date: "2026-01-05", day: "Monday", start: "16:00", end: "16:30" },
+      { id: "focused", taskId: "e", date: "2026-01-06", day: "Tuesday", start: "18:00", end: "18:30" },
+      { id: "later", taskId: "e", date: "2026-01-06", day: "Tuesday", start: "18:30", end: "19:00" },
+    ],
+  });
+  assert(
+    kept.replaced.map((p) => p.id).join() === "later",
+    "planAllTasks keeps blocks that ended or have logged time"
+  );
+
+  assert(
+    profileKey(DEFAULT_PROFILE_ID) === LS_KEY && profileKey("p2") === `${LS_KEY}@p2`,
+    "profileKey keeps the original key for the first profile"
+  );
+  const storedKeys = [
+    LS_KEY,
+    `${LS_KEY}_history`,
+    `${LS_KEY}_backup_v3`,
+    PROFILES_KEY,
+    `${LS_KEY}@p2`,
+    `${LS_KEY}@p2_history`,
+  ];
+  assert(
+    profileStorageKeys(DEFAULT_PROFILE_ID, storedKeys).join() ===
+      `${LS_KEY},${LS_KEY}_history,${LS_KEY}_backup_v3` &&
+      profileStorageKeys("p2", storedKeys).join() === `${LS_KEY}@p2,${LS_KEY}@p2_history`,
+    "profileStorageKeys"
+  );
+  assert(fileSlug("Amira O'Neil") === "amira_o_neil" && fileSlug("!!") === "profile", "fileSlug");
+
+  const sharePayload = buildSharePayload({
+    weekStart: "2026-01-04",
+    week: "week1",
+    template: loadTemplates.templates.week1,
+    overrides: {},
+    classification: DEFAULT_CLASSIFICATION,
+    tasks: [
+      { id: "long-id-a", title: "Secret essay", dueDate: "2026-01-20", estimatedMin: 60, priority: "high", status: "todo" },
+      { id: "long-id-b", title: "Due this week", dueDate: "2026-01-08", estimatedMin: 30, priority: "low", status: "todo" },
+      { id: "long-id-c", title: "Elsewhere", dueDate: "2026-02-01", estimatedMin: 30, priority: "low", status: "todo" },
+    ],
+    placements: [
+      { id: "x", taskId: "long-id-a", date: "2026-01-05", day: "Monday", start: "16:00", end: "16:30" },
+      { id: "y", taskId: "long-id-c", date: "2026-01-12", day: "Monday", start: "16:00", end: "16:30" },
+    ],
+    commitments: [{ id: "c", title: "Dentist", date: "2026-01-06", day: "Tuesday", start: "09:00", end: "10:00" }],
+    hideTitles: true,
+  });
+  assert(
+    sharePayload.tasks.map((t) => `${t.id}:${t.title}`).join() === "t0:Task 1,t1:Task 2" &&
+      sharePayload.placements.length === 1 &&
+      sharePayload.placements[0].taskId === "t0" &&
+      sharePayload.commitments[0].title === "Busy",
+    "buildSharePayload keeps the week and hides titles"
+  );
+  assert(sharePayloadOk(sharePayload), "sharePayloadOk accepts a built payload");
+  assert(
+    !sharePayloadOk({ ...sharePayload, classification: { rules: "x" } }) &&
+      !sharePayloadOk({ ...sharePayload, placements: [{ id: "p", taskId: "t0", day: "Monday" }] }) &&
+      !sharePayloadOk({ ...sharePayload, template: { grid: [{ start: "9" }], notes: [] } }),
+    "sharePayloadOk rejects broken rules, placements and rows"
+  );
+  assert(shareCodeFrom("#share=zAbc") === "zAbc" && shareCodeFrom("#x") === null, "shareCodeFrom");
+  if (typeof TextEncoder !== "undefined" && typeof Response !== "undefined") {
+    encodeShare(sharePayload)
+      .then(decodeShare)
+      .then((back) =>
+        assert(JSON.stringify(back) === JSON.stringify(sharePayload), "share link round trip")
+      );
+    encodeShare({ ...sharePayload, tasks: {} })
+      .then(decodeShare)
+      .then(
+        () => assert(false, "decodeShare rejects a payload with the wrong shape"),
+        (err) => assert(err.message.includes("damaged"), "decodeShare rejects a payload with the wrong shape")
+      );
+  }
+
+  assert(inQuietHours(23 * 60, "22:00", "07:00"), "inQuietHours wraps midnight");
+  assert(!inQuietHours(12 * 60, "22:00", "07:00"), "inQuietHours outside");
+  const quiet = { ...DEFAULT_REMINDERS, enabled: true };
+  const reminderList = buildReminders({
+    tasks: [
+      { id: "r", title: "Essay", dueDate: "2026-01-07", estimatedMin: 60, priority: "high", status: "todo" },
+    ],
+    placements: [
+      { id: "p1", taskId: "r", date: "2026-01-05", day: "Monday", start: "07:00", end: "07:30" },
+      { id: "p2", taskId: "r", week: "week1", day: "Tuesday", start: "16:00", end: "16:30" },
+    ],
+    week1StartSunday: "2026-01-04",
+    fallbackWeek: "week1",
+    reminders: quiet,
+    now: atTime("2026-01-05", "06:00"),
+  });
+  assert(
+    reminderList.map((r) => r.key).join() === "block:p2:2026-01-06,due:r:2026-01-07",
+    "buildReminders skips blocks whose reminder lands in quiet hours"
+  );
+  assert(
+    reminderList[0].at === atTime("2026-01-06", "15:50") &&
+      reminderList[1].at === atTime("2026-01-06", "18:00"),
+    "buildReminders lead time and due-date evening"
+  );
+  assert(
+    dueReminders(reminderList, {}, atTime("2026-01-06", "15:55")).length === 1 &&
+      dueReminders(reminderList, { "block:p2:2026-01-06": 1 }, atTime("2026-01-06", "15:55")).length === 0 &&
+      dueReminders(reminderList, {}, atTime("2026-01-06", "16:00")).length === 0,
+    "dueReminders once, and never after the block starts"
+  );
+  assert(
+    isOverdue({ status: "todo", dueDate: "2026-01-04" }, "2026-01-05") &&
+      !isOverdue({ status: "done", dueDate: "2026-01-04" }, "2026-01-05"),
+    "isOverdue"
+  );
 }